@@ -5,37 +5,147 @@
      const comp = CompConsole.mount(containerEl, {
        trackA: { url: 'a.mp3', label: 'Clean Version' },
        trackB: { url: 'b.mp3', label: 'Explicit Version' },
-       alignment: false,
+       // or, for three to six revisions (lanes A, B, C…):
+       // tracks: [{ url: 'v1.mp3', label: 'Mix 1' }, { url: 'v2.mp3', label: 'Mix 2', color: '#facc15' }, …],
+       referenceTrack: 'A',
+       meta: null,                // null = measured per track (BPM, key, meter, length, LUFS, dBTP) | ['113 BPM', …] | false
+       alignment: false,          // true = one offset per track, 'warp' = piecewise time map (edited revisions)
+       offsets: null,             // { B: { offset: 0.012, mode: 'manual', polarity: -1 } } — restores nudged alignment + flips
+       nullTest: false,           // play reference minus the compared track (aligned) — what's left is the difference
        restrictRegion: false,
+       loudnessMatch: true,
+       crossfadeMs: 0,
+       switchQuantize: 'off',     // 'off' | 'beat' | 'bar'
+       timeFormat: 'clock',       // 'clock' (m:ss) | 'bars' (bar.beat from the detected tempo map)
+       blindTest: null,           // { mode: 'blind' | 'abx', trials: 10 } — starts a listening test once loaded
+       channelView: 'stereo',     // 'stereo' | 'L' | 'R' | 'M' | 'S' — what waveforms + drift map show
+       monitorMode: 'stereo',     // 'stereo' | 'mono' | 'mid' | 'side' | 'swap'
+       listenFilter: 'off',       // 'off' | 'lows' | 'mids' | 'highs' | 'band' — same filter on every track
+       listenFreq: 1000,          // band centre in Hz (listenFilter: 'band')
+       listenQ: 2,                // band Q (listenFilter: 'band')
+       spectrogram: 'off',        // 'off' | 'under' (behind the waveform) | 'replace' (instead of it)
+       spectrogramFftSize: 2048,  // 512 | 1024 | 2048 | 4096 | 8192
+       spectrogramScale: 'log',   // 'linear' | 'log' | 'mel'
        loopStart: 0,
        loopEnd: 1,
-       features: { scrubbing: true, beatGrid: true, driftMap: true, markers: true },
+       loopCues: [],              // [{ name: 'Chorus', start: 42.1, end: 58.3 }, …] — saved loop regions (seconds), Shift+1…9
+       features: { scrubbing: true, beatGrid: true, driftMap: true, markers: true, issues: true },
+       notes: false,              // feedback notes: '+ Note' button; new markers tie to the audible track
+       noteAuthor: null,          // stamped on markers placed here as `author` (e.g. 'recipient')
        onPlay: () => {},
        onStop: () => {},
        onTrackSwitch: (track) => {},
        onSeek: (sec) => {},
-       onMarkerPlace: (sec) => {},
-       onMarkerRemove: (sec) => {},
+       onMarkerPlace: (sec, marker) => {},
+       onMarkerRemove: (sec, marker) => {},
+       onMarkerChange: (marker) => {},  // moved, resized, renamed, recolored or re-commented
+       onBlindComplete: (result) => {},  // null if the requested blindTest couldn't start (< 2 tracks loaded)
+       onMetadata: (meta) => {},  // once track analysis finishes — same shape as comp.getMetadata()
      });
 
+     comp.setPolarity('B', -1);   // flip a track (playback + drift); comp.isPolarityInverted('B') reports detection
+     comp.setNullTest(true);
+     comp.setListenFilter('band');  // 'lows' | 'mids' | 'highs' | 'band' | 'off' — heard on every track alike
+     comp.setListenBand(80, 1.5);   // band centre (Hz) + Q
+     comp.addMarker({ sec: 12, end: 20, label: 'Chorus', color: '#f472b6', track: 'B', comment: 'Vocal too loud', author: 'Sam' });
+     comp.updateMarker(id, { label: 'Chorus 1' });  // also removeMarker(id), getMarkers()
+     comp.exportLoop('alternate', { bars: 4 });  // WAV download of the loop: track id | 'null' (+ { track: 'C' }) | 'alternate'
+     comp.saveLoopCue('Chorus');  // current loop → cue list; recallLoopCue(id), renameLoopCue, moveLoopCue(id, index), removeLoopCue, getLoopCues()
+     comp.undo(); comp.redo();    // loop, zoom, marker + track selection edits (also Ctrl/Cmd+Z, Shift+Ctrl/Cmd+Z)
+     comp.exportMarkers('reaper');  // markers + loop: 'audacity' | 'reaper' | 'midi' | 'wav'; importMarkers(file) reads them back
+     comp.getDiffRegions();       // drift map change regions, biggest first: [{ start, end, level }]
+     comp.nextDiffRegion();       // loop + zoom to the next one (N / Shift+N on the keyboard)
+     comp.getIssues();            // clipping, overs, dropouts, DC offset, lead-in/tail silence per track
+     comp.getMetadata();          // measured tempo, key, meter, LUFS, dBTP per track + diffs vs reference
      comp.destroy();
    ============================================================ */
 
 const CompConsole = (() => {
 
   // ── Constants ──
-  const PEAK_BINS = 300;
+  const PEAK_BINS = 300;         // drift analysis bins per view (waveforms follow the canvas width)
+  const WAVE_BAR_PX = 3;         // device pixels per waveform bar (2 bar + 1 gap)
+  const ZOOM_MIN_SAMPLES = 64;   // deepest zoom: this many samples across the lanes
   const CHEVRON_SVG = '<svg viewBox="0 0 12 10"><path d="M0,0 Q0,2 2,2 L4.5,8 Q6,11 7.5,8 L10,2 Q12,2 12,0 Z"/></svg>';
   const PLAY_SVG = '<svg viewBox="0 0 24 24"><polygon points="8,5 20,12 8,19"/></svg>';
   const PAUSE_SVG = '<svg viewBox="0 0 24 24"><rect x="6" y="5" width="4" height="14" fill="currentColor"/><rect x="14" y="5" width="4" height="14" fill="currentColor"/></svg>';
   const ARROW_SVG = '<svg viewBox="0 0 12 12"><polygon points="1,3 11,3 6,10"/></svg>';
   const HANDLE_SVG = '<svg viewBox="0 0 14 10"><polygon points="2,0 12,0 7,9"/></svg>';
+  const TRACK_IDS = ['A', 'B', 'C', 'D', 'E', 'F'];
+  // Fallbacks for when the host theme doesn't define the lane color variables
+  const TRACK_COLORS = { A: '#2dd4bf', B: '#f472b6', C: '#facc15', D: '#818cf8', E: '#fb923c', F: '#a3e635' };
+  const BLIND_COLOR = '#e8e8ec';  // neutral lane color while a blind test hides identities
+  // opts.features is merged over these flag by flag, so a flag the host doesn't mention stays on
+  const FEATURE_DEFAULTS = { scrubbing: true, beatGrid: true, driftMap: true, markers: true, issues: true };
+
+  // Channel views for waveforms + drift map (stereo = both channels, worst of L/R)
+  const CHANNEL_VIEWS = ['stereo', 'L', 'R', 'M', 'S'];
+  const CHANNEL_VIEW_LABELS = { stereo: 'L+R', L: 'Left', R: 'Right', M: 'Mid', S: 'Side' };
+
+  // Monitoring matrix: [L→L, L→R, R→L, R→R] gains applied to every lane alike
+  const SQRT1_2 = Math.SQRT1_2;
+  const MONITOR_MODES = {
+    stereo: [1, 0, 0, 1],
+    mono:   [0.5, 0.5, 0.5, 0.5],
+    mid:    [SQRT1_2, SQRT1_2, SQRT1_2, SQRT1_2],
+    side:   [SQRT1_2, SQRT1_2, -SQRT1_2, -SQRT1_2],
+    swap:   [0, 1, 1, 0],
+  };
+  const MONITOR_LABELS = { stereo: 'Stereo', mono: 'Mono', mid: 'Mid', side: 'Side', swap: 'L⇄R' };
+
+  // Listening filters: one band applied to every lane ahead of the monitoring matrix
+  const LISTEN_FILTERS = ['off', 'lows', 'mids', 'highs', 'band'];
+  const LISTEN_FILTER_LABELS = { off: 'Full', lows: 'Lows', mids: 'Mids', highs: 'Highs', band: 'Band' };
+  const LISTEN_SPLIT_LOW = 250;     // Hz — lows / mids crossover
+  const LISTEN_SPLIT_HIGH = 4000;   // Hz — mids / highs crossover
+  const LISTEN_FREQ_RANGE = [40, 16000];
+  const LISTEN_Q_RANGE = [0.5, 10];
+
+  // → [[type, frequency, Q], …] biquad stages in series; crossovers are doubled up (24 dB/oct)
+  function listenFilterStages(mode, freq, q) {
+    const lp = f => [['lowpass', f, SQRT1_2], ['lowpass', f, SQRT1_2]];
+    const hp = f => [['highpass', f, SQRT1_2], ['highpass', f, SQRT1_2]];
+    switch (mode) {
+      case 'lows': return lp(LISTEN_SPLIT_LOW);
+      case 'mids': return hp(LISTEN_SPLIT_LOW).concat(lp(LISTEN_SPLIT_HIGH));
+      case 'highs': return hp(LISTEN_SPLIT_HIGH);
+      case 'band': return [['bandpass', freq, q]];
+      default: return [];
+    }
+  }
+
+  // Correlation vs the reference below -this reads as a polarity-inverted track
+  const POLARITY_THRESHOLD = 0.5;
+
+  // Marker colors, cycled from the marker list (null = theme accent, or the associated track's color)
+  const MARKER_COLORS = [null, '#f87171', '#fb923c', '#facc15', '#a3e635', '#2dd4bf', '#818cf8', '#f472b6'];
+  const MARKER_COLOR_RE = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i; // markers arrive from shared state — hex only
+  const MARKER_MIN_RANGE = 0.05;  // seconds — shortest range a marker's end can be dragged to
+
+  // Undo history: loop, zoom, marker and track-selection edits
+  const HISTORY_LIMIT = 50;
+  const HISTORY_COALESCE_MS = 1000;                 // a burst of zoom / scroll / track flips is one step
+  const HISTORY_COALESCE = ['view', 'track'];
+
+  // Signal issue annotations on the lanes (flags on the marker rail use the CSS equivalents)
+  const ISSUE_COLORS = {
+    clip: 'rgba(239,68,68,0.85)',
+    over: 'rgba(251,146,60,0.85)',
+    dropout: 'rgba(250,204,21,0.85)',
+    silence: 'rgba(148,163,184,0.45)',
+  };
+
+  // Live meters: raw taps feed true peak + correlation every frame; K-weighted taps
+  // feed 100 ms loudness blocks (momentary = last 400 ms, short-term = last 3 s)
+  const METER_RAW_FFT = 2048;
+  const METER_K_FFT = 8192;
+  const METER_BLOCK = 0.1;
 
   // ── Audio Cache (in-memory + IndexedDB) ──
   // In-memory: full AudioBuffer + peaks (instant on remount within same session)
   // IndexedDB: raw bytes + peaks (survives page reload, fast re-decode for collabs)
 
-  const _memCache = new Map();   // url → { buffer: AudioBuffer, peaks: Float32Array, duration, sampleRate, channels }
+  const _memCache = new Map();   // url → { buffer: AudioBuffer, peaks: Float32Array, duration, sampleRate, channels, format }
   const IDB_NAME = 'comp-console-cache';
   const IDB_STORE = 'tracks';
   const IDB_VERSION = 1;
@@ -78,22 +188,343 @@ const CompConsole = (() => {
     return m + ':' + (s < 10 ? '0' : '') + s;
   }
 
-  function extractPeaks(audioBuf, numBins, startSec, endSec) {
-    const chan = audioBuf.getChannelData(0);
-    const sr = audioBuf.sampleRate;
-    const sStart = startSec ? Math.floor(startSec * sr) : 0;
-    const sEnd = endSec ? Math.min(Math.floor(endSec * sr), chan.length) : chan.length;
-    const regionLen = sEnd - sStart;
-    if (regionLen <= 0) return new Float32Array(numBins);
-    const binSize = Math.floor(regionLen / numBins);
+  function fmtDb(db, unit) {
+    const rounded = Math.round(db * 10) / 10;
+    const sign = rounded > 0 ? '+' : (rounded < 0 ? '−' : '±');
+    return sign + Math.abs(rounded).toFixed(1) + ' ' + (unit || 'dB');
+  }
+
+  // Next entry after `current`, wrapping (click-to-cycle buttons)
+  function cycle(list, current) {
+    return list[(list.indexOf(current) + 1) % list.length];
+  }
+
+  function escapeHtml(str) {
+    return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+  }
+
+  function shuffle(arr) {
+    for (let i = arr.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+  }
+
+  // P(X >= k) for X ~ Binomial(n, p) — chance of scoring at least k hits by guessing
+  function binomialTail(k, n, p) {
+    let total = 0;
+    let coeff = 1; // C(n, i), built incrementally
+    for (let i = 0; i <= n; i++) {
+      if (i > 0) coeff = coeff * (n - i + 1) / i;
+      if (i >= k) total += coeff * Math.pow(p, i) * Math.pow(1 - p, n - i);
+    }
+    return Math.min(1, total);
+  }
+
+  // P(max count >= k) when n answers are spread uniformly over m choices — the chance that
+  // guessing produces a favourite at least this strong, with the favourite picked afterwards.
+  // Counts answer sequences whose every count stays below k: n! · [x^n] (Σ_{j<k} x^j / j!)^m
+  function maxCountTail(k, n, m) {
+    if (k <= 0) return 1;
+    const term = []; // x^j / j! for j < k
+    let fact = 1;
+    for (let j = 0; j <= n; j++) {
+      if (j > 0) fact *= j;
+      term.push(j < k ? 1 / fact : 0);
+    }
+    let poly = [1];
+    for (let c = 0; c < m; c++) {
+      const next = new Array(n + 1).fill(0);
+      for (let i = 0; i < poly.length; i++) {
+        if (!poly[i]) continue;
+        for (let j = 0; i + j <= n; j++) next[i + j] += poly[i] * term[j];
+      }
+      poly = next;
+    }
+    let below = poly[n] || 0;
+    for (let i = 1; i <= n; i++) below *= i / m; // × n! / m^n
+    return Math.min(1, Math.max(0, 1 - below));
+  }
+
+  // Builds lane records from either `tracks: [...]` or the classic trackA/trackB pair
+  function normalizeTracks(opts) {
+    let list;
+    if (Array.isArray(opts.tracks)) {
+      list = opts.tracks.filter(Boolean).map((t, i) => ({ id: TRACK_IDS[i], src: t }));
+    } else {
+      list = [];
+      if (opts.trackA) list.push({ id: 'A', src: opts.trackA });
+      if (opts.trackB) list.push({ id: 'B', src: opts.trackB });
+    }
+    return list.slice(0, TRACK_IDS.length).map(({ id, src }) => ({
+      id,
+      label: src.label || '',
+      url: src.url,
+      color: src.color || null,
+      buffer: null,
+      pyramid: null,         // buildPeakPyramid() for the current channel view
+      offset: 0,             // alignment offset vs the reference track (sec)
+      autoOffset: 0,         // what auto-alignment found (the offset 'Auto' resets to)
+      offsetMode: 'auto',    // 'manual' once nudged by hand
+      confidence: null,      // alignmentConfidence() at the current offset
+      inverted: false,       // correlation vs the reference is strongly negative (polarity flipped)
+      polarity: 1,           // -1 flips this lane for playback and drift analysis
+      shift: 0,              // seconds skipped at the head of this buffer so all lanes line up
+      source: null,
+      gain: null,
+      loudness: -Infinity,
+      loopLoudness: -Infinity,
+      trimDb: 0,
+      format: null,          // source file format sniffed from its header: { container, sampleRate, bitDepth, channels }
+      warp: null,            // time map segments when alignment is 'warp' (buffer is then re-timed)
+      edits: [],             // detected edit points: [{ sec, delta }]
+      meta: null,            // measured stats: { bpm, tempoRange, meter, key, duration, loudness, truePeak }
+      issues: null,          // detectIssues(): clips, overs, dropouts, DC, lead-in/tail silence (buffer time)
+      meterMax: null,        // live meter extremes while this lane was audible: { momentary, shortTerm, truePeak, correlation }
+      diffData: null,        // drift vs the reference track (null on the reference lane itself)
+      diffMax: 0,
+      zoomedDiffData: null,
+      diffRegions: [],       // findDiffRegions() over diffData, biggest first
+      spectral: null,        // per-band drift vs the reference: { data, bandMax, bands }
+      zoomedSpectral: null,
+      spectrogram: null,     // last computed image: { image (canvas), start, end } — view fractions it covers
+      els: {},
+    }));
+  }
+
+  // Parse a CSS color (rgb/rgba or #rrggbb) for alpha manipulation
+  function parseColor(c) {
+    const rgbMatch = c.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
+    if (rgbMatch) return { r: +rgbMatch[1], g: +rgbMatch[2], b: +rgbMatch[3] };
+    const hex = c.replace('#', '');
+    if (hex.length === 6) return { r: parseInt(hex.slice(0,2),16), g: parseInt(hex.slice(2,4),16), b: parseInt(hex.slice(4,6),16) };
+    return { r: 45, g: 212, b: 191 };
+  }
+
+  function trackColorVar(id) {
+    return id === 'A' ? '--comp-accent' : '--comp-track-' + id.toLowerCase();
+  }
+
+  // ── Source format ──
+  //
+  // decodeAudioData resamples every file to the context rate, so a track's own sample
+  // rate, bit depth and container are read from the file header before decoding.
+  // Returns { container, sampleRate, bitDepth, channels } (unknown fields null) or null.
+
+  const MP3_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+  const AAC_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+  function sniffAudioFormat(bytes) {
+    if (!bytes || bytes.byteLength < 12) return null;
+    const u8 = new Uint8Array(bytes);
+    const dv = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+    const str = (o, n) => String.fromCharCode.apply(null, u8.subarray(o, o + n));
+    const fmt = (container, sampleRate, bitDepth, channels) =>
+      ({ container, sampleRate: sampleRate || null, bitDepth: bitDepth || null, channels: channels || null });
+
+    if (str(0, 4) === 'RIFF' && str(8, 4) === 'WAVE') {
+      for (let o = 12; o + 8 <= u8.length;) {
+        const size = dv.getUint32(o + 4, true);
+        if (str(o, 4) === 'fmt ' && o + 24 <= u8.length) {
+          return fmt('WAV', dv.getUint32(o + 12, true), dv.getUint16(o + 22, true), dv.getUint16(o + 10, true));
+        }
+        o += 8 + size + (size & 1);
+      }
+      return fmt('WAV');
+    }
+    if (str(0, 4) === 'fLaC' && u8.length >= 22) {
+      // STREAMINFO: 20-bit rate, 3-bit channels-1, 5-bit bits-per-sample-1
+      const rate = (u8[18] << 12) | (u8[19] << 4) | (u8[20] >> 4);
+      return fmt('FLAC', rate, (((u8[20] & 1) << 4) | (u8[21] >> 4)) + 1, ((u8[20] >> 1) & 7) + 1);
+    }
+    if (str(0, 4) === 'OggS' && u8.length >= 44) {
+      if (str(29, 6) === 'vorbis') return fmt('Ogg Vorbis', dv.getUint32(40, true), null, u8[39]);
+      if (str(28, 8) === 'OpusHead') return fmt('Opus', 48000, null, u8[37]);  // Opus always decodes at 48k
+      return fmt('Ogg');
+    }
+    if (str(4, 4) === 'ftyp') {
+      // MP4/M4A: rate lives in the 'mp4a' sample entry (16.16 fixed point)
+      for (let i = 8; i + 32 <= u8.length; i++) {
+        if (u8[i] === 0x6d && str(i, 4) === 'mp4a') {
+          return fmt('M4A', dv.getUint16(i + 28), dv.getUint16(i + 22), dv.getUint16(i + 20));
+        }
+      }
+      return fmt('M4A');
+    }
+    if (str(0, 4) === 'FORM' && (str(8, 4) === 'AIFF' || str(8, 4) === 'AIFC')) {
+      for (let o = 12; o + 26 <= u8.length;) {
+        const size = dv.getUint32(o + 4);
+        if (str(o, 4) === 'COMM') {
+          // 80-bit extended float sample rate
+          const exp = (dv.getUint16(o + 16) & 0x7fff) - 16383;
+          const rate = Math.round(dv.getUint32(o + 18) * Math.pow(2, exp - 31));
+          return fmt('AIFF', rate, dv.getUint16(o + 14), dv.getUint16(o + 8));
+        }
+        o += 8 + size + (size & 1);
+      }
+      return fmt('AIFF');
+    }
+
+    // MPEG audio / ADTS AAC: skip an ID3v2 tag, then find the first frame sync
+    let o = 0;
+    if (str(0, 3) === 'ID3') o = 10 + ((u8[6] & 0x7f) << 21 | (u8[7] & 0x7f) << 14 | (u8[8] & 0x7f) << 7 | (u8[9] & 0x7f));
+    for (const end = Math.min(u8.length - 4, o + 65536); o < end; o++) {
+      if (u8[o] !== 0xff || (u8[o + 1] & 0xe0) !== 0xe0) continue;
+      const version = (u8[o + 1] >> 3) & 3, layer = (u8[o + 1] >> 1) & 3;
+      if (layer === 0 && (u8[o + 1] & 0xf6) === 0xf0) {
+        const rate = AAC_RATES[(u8[o + 2] >> 2) & 0xf];
+        return fmt('AAC', rate, null, ((u8[o + 2] & 1) << 2) | (u8[o + 3] >> 6));
+      }
+      const srIdx = (u8[o + 2] >> 2) & 3;
+      if (layer === 0 || version === 1 || srIdx === 3) continue;
+      return fmt(layer === 1 ? 'MP3' : 'MPEG', MP3_RATES[version][srIdx], null, (u8[o + 3] >> 6) === 3 ? 1 : 2);
+    }
+    return null;
+  }
+
+  function formatLabel(format) {
+    if (!format) return 'unknown format';
+    const parts = [];
+    if (format.sampleRate) parts.push((format.sampleRate / 1000).toFixed(format.sampleRate % 1000 ? 1 : 0) + ' kHz');
+    if (format.bitDepth && /WAV|FLAC|AIFF/.test(format.container)) parts.push(format.bitDepth + '-bit');
+    parts.push(format.container);
+    return parts.join(' ');
+  }
+
+  // ── Channel views ──
+  //
+  // Derived mid/side signals are cached per buffer so switching views (or re-analysing
+  // a zoomed region) doesn't rebuild them. Mono buffers have L = R = M and a silent side.
+
+  const _channelCache = new WeakMap();   // AudioBuffer → { M, S }
+
+  function derivedChannel(audioBuf, which) {
+    let entry = _channelCache.get(audioBuf);
+    if (!entry) { entry = {}; _channelCache.set(audioBuf, entry); }
+    if (entry[which]) return entry[which];
+    const L = audioBuf.getChannelData(0);
+    const R = audioBuf.numberOfChannels > 1 ? audioBuf.getChannelData(1) : L;
+    const out = new Float32Array(L.length);
+    if (which === 'M') for (let i = 0; i < L.length; i++) out[i] = (L[i] + R[i]) * 0.5;
+    else if (R !== L) for (let i = 0; i < L.length; i++) out[i] = (L[i] - R[i]) * 0.5;
+    entry[which] = out;
+    return out;
+  }
+
+  // Sample arrays for a channel view; 'stereo' returns both channels
+  function analysisChannels(audioBuf, view) {
+    const stereo = audioBuf.numberOfChannels > 1;
+    switch (view) {
+      case 'L': return [audioBuf.getChannelData(0)];
+      case 'R': return [audioBuf.getChannelData(stereo ? 1 : 0)];
+      case 'M': return [stereo ? derivedChannel(audioBuf, 'M') : audioBuf.getChannelData(0)];
+      case 'S': return [derivedChannel(audioBuf, 'S')];
+      default: return stereo ? [audioBuf.getChannelData(0), audioBuf.getChannelData(1)] : [audioBuf.getChannelData(0)];
+    }
+  }
+
+  // Analysis always compares tracks at one rate: a buffer at a different rate is resampled
+  // (cubic Hermite) to the reference's. Cached per buffer + rate.
+  const _rateCache = new WeakMap();   // AudioBuffer → { [rate]: buffer-like }
+
+  function matchRate(audioBuf, sampleRate) {
+    if (!audioBuf || audioBuf.sampleRate === sampleRate) return audioBuf;
+    let entry = _rateCache.get(audioBuf);
+    if (!entry) { entry = {}; _rateCache.set(audioBuf, entry); }
+    if (entry[sampleRate]) return entry[sampleRate];
+    const ratio = audioBuf.sampleRate / sampleRate;
+    const len = Math.floor(audioBuf.length / ratio);
+    const channels = [];
+    for (let c = 0; c < audioBuf.numberOfChannels; c++) {
+      const src = audioBuf.getChannelData(c);
+      const out = new Float32Array(len);
+      const last = src.length - 1;
+      for (let i = 0; i < len; i++) {
+        const pos = i * ratio, p = Math.floor(pos), t = pos - p;
+        const y0 = src[Math.max(0, p - 1)], y1 = src[p], y2 = src[Math.min(last, p + 1)], y3 = src[Math.min(last, p + 2)];
+        out[i] = y1 + 0.5 * t * (y2 - y0 + t * (2 * y0 - 5 * y1 + 4 * y2 - y3 + t * (3 * (y1 - y2) + y3 - y0)));
+      }
+      channels.push(out);
+    }
+    const result = {
+      sampleRate,
+      numberOfChannels: channels.length,
+      length: len,
+      duration: len / sampleRate,
+      getChannelData: (c) => channels[c],
+    };
+    entry[sampleRate] = result;
+    return result;
+  }
+
+  // Mono fold-down used by alignment + beat detection
+  function monoChannel(audioBuf) {
+    return analysisChannels(audioBuf, 'M')[0];
+  }
+
+
+  // ── Peak pyramid ──
+  //
+  // Max |x| per PYRAMID_BLOCK samples across the view's channels, then halved level by
+  // level (mip-map style). Built once per lane and channel view; peaksFromPyramid() answers
+  // any window at any bin count from the coarsest level that still resolves it, and reads
+  // the samples themselves once a bin is narrower than one block.
+
+  const PYRAMID_BLOCK = 16;
+
+  function buildPeakPyramid(audioBuf, view) {
+    const chans = analysisChannels(audioBuf, view);
+    const len = chans[0].length;
+    const base = new Float32Array(Math.ceil(len / PYRAMID_BLOCK));
+    for (const chan of chans) {
+      for (let i = 0; i < len; i++) {
+        const abs = Math.abs(chan[i]);
+        const k = (i / PYRAMID_BLOCK) | 0;
+        if (abs > base[k]) base[k] = abs;
+      }
+    }
+    const levels = [base];
+    for (let prev = base; prev.length > 1;) {
+      const next = new Float32Array(Math.ceil(prev.length / 2));
+      for (let k = 0; k < next.length; k++) {
+        const b = 2 * k + 1 < prev.length ? prev[2 * k + 1] : 0;
+        next[k] = prev[2 * k] > b ? prev[2 * k] : b;
+      }
+      levels.push(next);
+      prev = next;
+    }
+    return { levels, chans, sampleRate: audioBuf.sampleRate, length: len };
+  }
+
+  // numBins peaks for [startSec, endSec) of the buffer (0 outside it)
+  function peaksFromPyramid(pyr, startSec, endSec, numBins) {
     const peaks = new Float32Array(numBins);
+    const s0 = startSec * pyr.sampleRate;
+    const per = (endSec - startSec) * pyr.sampleRate / numBins; // samples per bin
+    if (!(per > 0)) return peaks;
+
+    // Sample level: max over the bin's samples, or the nearest sample when a bin is narrower than one
+    let data = null, block = 1;
+    if (per >= PYRAMID_BLOCK) {
+      const level = Math.min(pyr.levels.length - 1, Math.floor(Math.log2(per / PYRAMID_BLOCK)));
+      data = pyr.levels[level];
+      block = PYRAMID_BLOCK * Math.pow(2, level);
+    }
+    const len = data ? data.length : pyr.length;
     for (let i = 0; i < numBins; i++) {
+      const a = Math.max(0, Math.floor((s0 + i * per) / block));
+      const b = Math.min(len, Math.max(a + 1, Math.floor((s0 + (i + 1) * per) / block)));
       let max = 0;
-      const start = sStart + i * binSize;
-      const end = Math.min(start + binSize, sEnd);
-      for (let j = start; j < end; j++) {
-        const abs = Math.abs(chan[j]);
-        if (abs > max) max = abs;
+      if (data) {
+        for (let k = a; k < b; k++) if (data[k] > max) max = data[k];
+      } else {
+        for (const chan of pyr.chans) {
+          for (let k = a; k < b; k++) {
+            const abs = Math.abs(chan[k]);
+            if (abs > max) max = abs;
+          }
+        }
       }
       peaks[i] = max;
     }
@@ -106,9 +537,10 @@ const CompConsole = (() => {
     if (!bufA || !bufB) return 0;
     if (Math.abs(bufA.duration - bufB.duration) < 0.05) return 0;
 
+    bufB = matchRate(bufB, bufA.sampleRate);
     const sr = bufA.sampleRate;
-    const aData = bufA.getChannelData(0);
-    const bData = bufB.getChannelData(0);
+    const aData = monoChannel(bufA);
+    const bData = monoChannel(bufB);
 
     const corrScore = (aStart, bStart, len) => {
       let sumAB = 0, sumAA = 0, sumBB = 0;
@@ -128,6 +560,7 @@ const CompConsole = (() => {
       for (let off = lo; off <= hi; off++) {
         let c = 0;
         for (let i = 0; i < patLen; i++) c += aData[aStart + i] * bData[off + i];
+        c = Math.abs(c); // either polarity — an inverted B still lines up
         if (c > bestC) { bestC = c; best = off; }
       }
       return best;
@@ -147,7 +580,7 @@ const CompConsole = (() => {
     const refinedB = refineOffset(audioStartA, audioStartB, patLen);
     const score = corrScore(audioStartA, refinedB, patLen);
 
-    if (score > 0.7) {
+    if (Math.abs(score) > 0.7) {
       const finalOffset = refinedB - audioStartA;
       if (finalOffset === 0) return 0;
       return finalOffset / sr;
@@ -170,6 +603,7 @@ const CompConsole = (() => {
     for (let s = 0; s <= searchDSB - patDSA; s++) {
       let c = 0;
       for (let i = 0; i < patDSA; i++) c += patArrA[i] * srcArrB[s + i];
+      c = Math.abs(c);
       if (c > bestFwdC) { bestFwdC = c; bestFwd = s; }
     }
 
@@ -187,6 +621,7 @@ const CompConsole = (() => {
     for (let s = 0; s <= searchDSA - patDSB; s++) {
       let c = 0;
       for (let i = 0; i < patDSB; i++) c += patArrB[i] * srcArrA[s + i];
+      c = Math.abs(c);
       if (c > bestRevC) { bestRevC = c; bestRev = s; }
     }
 
@@ -206,6 +641,7 @@ const CompConsole = (() => {
       for (let off = lo; off <= hi; off++) {
         let c = 0;
         for (let i = 0; i < fpLen; i++) c += bData[audioStartB + i] * aData[off + i];
+        c = Math.abs(c);
         if (c > bestC) { bestC = c; best = off; }
       }
       finalOffset = audioStartB - best;
@@ -215,132 +651,539 @@ const CompConsole = (() => {
     return finalOffset / sr;
   }
 
+  // Mean normalized correlation of the mono fold-downs at a given offset, over a few
+  // windows spread through the overlap. Signed: near -1 means B is polarity-inverted.
+  function alignmentCorrelation(bufA, bufB, offsetSec) {
+    if (!bufA || !bufB) return 0;
+    bufB = matchRate(bufB, bufA.sampleRate);
+    const sr = bufA.sampleRate;
+    const a = monoChannel(bufA), b = monoChannel(bufB);
+    const shift = Math.round(offsetSec * sr);
+    const start = Math.max(0, -shift), end = Math.min(a.length, b.length - shift);
+    const len = Math.floor(2 * sr), windows = 8;
+    if (end - start < len) return 0;
+    let total = 0, count = 0;
+    for (let w = 0; w < windows; w++) {
+      const s = start + Math.floor((end - start - len) * (w + 0.5) / windows);
+      let ab = 0, aa = 0, bb = 0;
+      for (let i = 0; i < len; i++) {
+        const x = a[s + i], y = b[s + i + shift];
+        ab += x * y; aa += x * x; bb += y * y;
+      }
+      if (aa > 1e-9 && bb > 1e-9) { total += ab / Math.sqrt(aa * bb); count++; }
+    }
+    return count ? total / count : 0;
+  }
 
-  // ── Beat Detection ──
-
-  function detectBeats(audioBuf) {
-    if (!audioBuf) return null;
-    const sr = audioBuf.sampleRate;
-    const chan = audioBuf.getChannelData(0);
-    const len = chan.length;
+  // How well B matches A at a given offset, in either polarity (0 = unrelated, 1 = identical)
+  function alignmentConfidence(bufA, bufB, offsetSec) {
+    return Math.abs(alignmentCorrelation(bufA, bufB, offsetSec));
+  }
 
-    // Energy-based onset detection
-    const hopSize = Math.floor(sr * 0.01); // 10ms hops
-    const frameSize = Math.floor(sr * 0.02); // 20ms frames
-    const numFrames = Math.floor((len - frameSize) / hopSize);
-    const energy = new Float32Array(numFrames);
 
-    for (let f = 0; f < numFrames; f++) {
+  // ── Piecewise alignment (time map) ──
+  //
+  // For revisions with edits (an extra bar, a shorter intro, a tempo nudge) one offset
+  // isn't enough. A window slides along the reference's energy envelope and each step
+  // finds the best-matching lane offset near the previous one. Runs of smoothly varying
+  // offsets become segments with a linear fit (slope ≠ 0 = tempo change); jumps between
+  // runs are edit points, placed where the two fits stop agreeing.
+  //
+  // Returns { segments: [{ start, end, offset, slope }], edits: [{ sec, delta }] } in
+  // reference seconds; lane time = t + offset + slope * (t - start).
+
+  const WARP_FRAME = 0.005;     // envelope resolution (s)
+  const WARP_WINDOW = 3;        // reference audio per match (s)
+  const WARP_HOP = 1.5;
+  const WARP_SEARCH = 8;        // ± seconds searched around the running offset
+  const WARP_JUMP = 0.03;       // offset steps at least this big start a new segment
+  const WARP_MIN_CORR = 0.5;    // weaker matches inherit the neighbouring offset
+
+  function energyEnvelope(chan, hop) {
+    const n = Math.floor(chan.length / hop);
+    const env = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
       let sum = 0;
-      const offset = f * hopSize;
-      for (let i = 0; i < frameSize; i++) {
-        sum += chan[offset + i] * chan[offset + i];
-      }
-      energy[f] = sum / frameSize;
+      for (let j = i * hop, end = j + hop; j < end; j++) sum += chan[j] * chan[j];
+      env[i] = Math.sqrt(sum / hop);
     }
+    return env;
+  }
+
+  function findAlignmentMap(bufA, bufB) {
+    bufB = matchRate(bufB, bufA.sampleRate);
+    const sr = bufA.sampleRate;
+    const aData = monoChannel(bufA);
+    const bData = monoChannel(bufB);
+    const hop = Math.max(1, Math.round(sr * WARP_FRAME));
+    const frameSec = hop / sr;
+    const envA = energyEnvelope(aData, hop);
+    const envB = energyEnvelope(bData, hop);
+    const win = Math.round(WARP_WINDOW / frameSec);
+    const step = Math.round(WARP_HOP / frameSec);
+    const radius = Math.round(WARP_SEARCH / frameSec);
+    const single = (offset) => ({ segments: [{ start: 0, end: bufA.duration, offset, slope: 0 }], edits: [] });
+    if (envA.length < win || envB.length < win) return single(findAlignmentOffset(bufA, bufB));
+
+    // Mean-removed normalized correlation of an envA window against envB at a lag
+    const corr = (aStart, lag) => {
+      let ma = 0, mb = 0;
+      for (let i = 0; i < win; i++) { ma += envA[aStart + i]; mb += envB[aStart + lag + i]; }
+      ma /= win; mb /= win;
+      let ab = 0, aa = 0, bb = 0;
+      for (let i = 0; i < win; i++) {
+        const x = envA[aStart + i] - ma, y = envB[aStart + lag + i] - mb;
+        ab += x * y; aa += x * x; bb += y * y;
+      }
+      return aa > 0 && bb > 0 ? ab / Math.sqrt(aa * bb) : 0;
+    };
+
+    const bestLag = (s, around) => {
+      const lo = Math.max(around - radius, -s);
+      const hi = Math.min(around + radius, envB.length - win - s);
+      let best = null, bestC = WARP_MIN_CORR;
+      for (let lag = lo; lag <= hi; lag++) {
+        const c = corr(s, lag);
+        if (c > bestC) { bestC = c; best = lag; }
+      }
+      return { lag: best, c: bestC };
+    };
 
-    // Spectral flux (energy difference)
-    const flux = new Float32Array(numFrames);
-    for (let f = 1; f < numFrames; f++) {
-      flux[f] = Math.max(0, energy[f] - energy[f - 1]);
+    // 1. Best lag per window, searching around the running offset. The first search is
+    //    centred on both zero and the global offset, whichever matches better.
+    const windows = [];
+    const globalLag = Math.round(findAlignmentOffset(bufA, bufB) / frameSec);
+    let prevLag = globalLag;
+    for (let s = 0; s + win <= envA.length; s += step) {
+      let match = bestLag(s, prevLag);
+      if (!windows.length && globalLag !== 0) {
+        const atZero = bestLag(s, 0);
+        if (atZero.c > match.c) match = atZero;
+      }
+      if (match.lag !== null) prevLag = match.lag;
+      windows.push({ center: (s + win / 2) * frameSec, lag: match.lag });
     }
+    // Weak windows (silence, unmatched material) inherit a neighbour; then median-of-3
+    let fill = windows.find(w => w.lag !== null);
+    if (!fill) return single(findAlignmentOffset(bufA, bufB));
+    fill = fill.lag;
+    for (const w of windows) { if (w.lag === null) w.lag = fill; else fill = w.lag; }
+    const lags = windows.map((w, i) => {
+      if (i === 0 || i === windows.length - 1) return w.lag;
+      return [windows[i - 1].lag, w.lag, windows[i + 1].lag].sort((x, y) => x - y)[1];
+    });
 
-    // Adaptive threshold — local mean + multiplier
-    const windowSize = 100; // ~1 second of frames
-    const onsets = [];
-    const minOnsetGap = Math.floor(0.1 * sr / hopSize); // 100ms minimum between onsets
-    let lastOnset = -minOnsetGap;
+    // 2. Group into runs of smoothly varying offset, linear fit per run
+    const runs = [];
+    lags.forEach((lag, i) => {
+      const run = runs[runs.length - 1];
+      if (run && Math.abs(lag - lags[i - 1]) * frameSec < WARP_JUMP) run.idx.push(i);
+      else runs.push({ idx: [i] });
+    });
+    for (const run of runs) {
+      const xs = run.idx.map(i => windows[i].center), ys = run.idx.map(i => lags[i] * frameSec);
+      const n = xs.length;
+      const mx = xs.reduce((s, v) => s + v, 0) / n, my = ys.reduce((s, v) => s + v, 0) / n;
+      let sxy = 0, sxx = 0;
+      for (let i = 0; i < n; i++) { sxy += (xs[i] - mx) * (ys[i] - my); sxx += (xs[i] - mx) * (xs[i] - mx); }
+      run.slope = n > 2 && sxx > 0 ? Math.max(-0.05, Math.min(0.05, sxy / sxx)) : 0;
+      run.at = (t) => my + run.slope * (t - mx);   // fitted offset at reference time t
+    }
 
-    for (let f = 0; f < numFrames; f++) {
-      const lo = Math.max(0, f - windowSize);
-      const hi = Math.min(numFrames, f + windowSize);
-      let sum = 0;
-      for (let j = lo; j < hi; j++) sum += flux[j];
-      const mean = sum / (hi - lo);
-      const threshold = mean * 1.5 + 0.0001;
+    // 3. Edit point between runs: split the gap where the two fits stop agreeing
+    const boundaries = [];
+    for (let r = 0; r + 1 < runs.length; r++) {
+      const f0 = Math.floor(windows[runs[r].idx[runs[r].idx.length - 1]].center / frameSec);
+      const f1 = Math.ceil(windows[runs[r + 1].idx[0]].center / frameSec);
+      const err = (run, f) => {
+        const bf = f + Math.round(run.at(f * frameSec) / frameSec);
+        return (bf >= 0 && bf < envB.length) ? Math.abs(envA[f] - envB[bf]) : envA[f];
+      };
+      let total2 = 0;
+      for (let f = f0; f < f1; f++) total2 += err(runs[r + 1], f);
+      let best = f0, bestE = total2, acc1 = 0, acc2 = total2;
+      for (let f = f0; f < f1; f++) {
+        acc1 += err(runs[r], f);
+        acc2 -= err(runs[r + 1], f);
+        if (acc1 + acc2 < bestE) { bestE = acc1 + acc2; best = f + 1; }
+      }
+      boundaries.push(best * frameSec);
+    }
 
-      if (flux[f] > threshold && (f - lastOnset) >= minOnsetGap) {
-        onsets.push(f * hopSize / sr); // time in seconds
-        lastOnset = f;
+    // 4. Segments, each refined to sample accuracy against the raw signal
+    const segments = runs.map((run, r) => {
+      const start = r === 0 ? 0 : boundaries[r - 1];
+      const end = r === runs.length - 1 ? bufA.duration : boundaries[r];
+      return { start, end, offset: run.at(start), slope: run.slope };
+    });
+    for (const seg of segments) {
+      const patLen = Math.min(Math.floor(0.5 * sr), Math.floor((seg.end - seg.start) * sr));
+      if (patLen < Math.floor(0.1 * sr)) continue;
+      const mid = (seg.start + seg.end) / 2;
+      const aStart = Math.floor(mid * sr - patLen / 2);
+      const predicted = aStart + Math.round((seg.offset + seg.slope * (mid - seg.start)) * sr);
+      const r = Math.floor(0.015 * sr);
+      let best = predicted, bestC = -Infinity;
+      for (let off = Math.max(0, predicted - r); off <= Math.min(bData.length - patLen, predicted + r); off++) {
+        let c = 0;
+        for (let i = 0; i < patLen; i++) c += aData[aStart + i] * bData[off + i];
+        c = Math.abs(c);
+        if (c > bestC) { bestC = c; best = off; }
       }
+      seg.offset += (best - predicted) / sr;
     }
 
-    if (onsets.length < 4) return null;
+    const edits = segments.slice(1).map((seg, i) => {
+      const prev = segments[i];
+      return { sec: seg.start, delta: seg.offset - (prev.offset + prev.slope * (seg.start - prev.start)) };
+    });
+    return { segments, edits };
+  }
 
-    // BPM histogram from onset intervals
-    const intervals = [];
-    for (let i = 1; i < onsets.length; i++) {
-      const dt = onsets[i] - onsets[i - 1];
-      if (dt > 0.2 && dt < 2.0) intervals.push(dt); // 30-300 BPM range
+  // Re-time a buffer onto the reference timeline following a time map (5 ms crossfades at
+  // edit points). Sloped segments are read with linear interpolation.
+  function conformBuffer(ctx, buf, segments, duration) {
+    const sr = buf.sampleRate;
+    const len = Math.max(1, Math.round(duration * sr));
+    const out = ctx.createBuffer(buf.numberOfChannels, len, sr);
+    const fade = Math.round(0.005 * sr);
+    for (let c = 0; c < buf.numberOfChannels; c++) {
+      const src = buf.getChannelData(c);
+      const dst = out.getChannelData(c);
+      const read = (seg, i) => {
+        const t = i / sr;
+        const pos = (t + seg.offset + seg.slope * (t - seg.start)) * sr;
+        const p0 = Math.floor(pos);
+        if (p0 < 0 || p0 + 1 >= src.length) return 0;
+        const frac = pos - p0;
+        return frac ? src[p0] + (src[p0 + 1] - src[p0]) * frac : src[p0];
+      };
+      segments.forEach((seg, k) => {
+        const s0 = Math.round(seg.start * sr);
+        const s1 = Math.min(len, Math.round(seg.end * sr));
+        for (let i = s0; i < s1; i++) dst[i] = read(seg, i);
+        if (k === 0) return;
+        // Crossfade out of the previous segment's mapping
+        const prev = segments[k - 1];
+        for (let i = s0; i < Math.min(s1, s0 + fade); i++) {
+          const w = (i - s0) / fade;
+          dst[i] = read(prev, i) * (1 - w) + dst[i] * w;
+        }
+      });
     }
+    return out;
+  }
 
-    if (intervals.length < 2) return null;
 
-    // Cluster intervals to find dominant BPM
-    const bpmCounts = {};
-    for (const dt of intervals) {
-      const bpm = Math.round(60 / dt);
-      // Consider half and double time
-      for (const candidate of [bpm, bpm * 2, Math.round(bpm / 2)]) {
-        if (candidate >= 60 && candidate <= 200) {
-          const key = candidate;
-          bpmCounts[key] = (bpmCounts[key] || 0) + 1;
-        }
+  // ── Beat Detection ──
+  //
+  // Onset envelope → global tempo by autocorrelation → local tempo per window →
+  // dynamic-programming beat tracker that follows the local period, so beats stay
+  // on the hits when a song drifts or changes tempo. Meter and downbeat come from
+  // which position in the bar carries the most low-end accent.
+
+  const BEAT_FPS = 100;                          // onset envelope frames per second
+  const BEAT_TEMPO_WINDOW = 8;                   // seconds per local tempo estimate
+  const BEAT_TIGHTNESS = 100;                    // how hard the tracker holds the local period
+  const BEAT_METERS = { 4: 1, 3: 0.95, 5: 0.8, 7: 0.8 }; // beats per bar → prior weight
+
+  // Positive log-energy flux of the full band and of the low end (<150 Hz), BEAT_FPS frames/sec
+  function onsetEnvelope(audioBuf) {
+    const sr = audioBuf.sampleRate;
+    const chan = monoChannel(audioBuf);
+    const hop = sr / BEAT_FPS;
+    const frameSize = Math.round(hop * 2);
+    const numFrames = Math.max(0, Math.floor((chan.length - frameSize) / hop));
+    const full = new Float32Array(numFrames);
+    const low = new Float32Array(numFrames);
+
+    // Two cascaded one-pole lowpasses for the kick/bass band
+    const a = Math.exp(-2 * Math.PI * 150 / sr);
+    const lp = new Float32Array(chan.length);
+    let y1 = 0, y2 = 0;
+    for (let i = 0; i < chan.length; i++) {
+      y1 = (1 - a) * chan[i] + a * y1;
+      y2 = (1 - a) * y1 + a * y2;
+      lp[i] = y2;
+    }
+
+    let maxFull = 0, maxLow = 0;
+    for (let f = 0; f < numFrames; f++) {
+      const offset = Math.round(f * hop);
+      let sum = 0, sumLow = 0;
+      for (let i = 0; i < frameSize; i++) {
+        sum += chan[offset + i] * chan[offset + i];
+        sumLow += lp[offset + i] * lp[offset + i];
+      }
+      full[f] = sum / frameSize;
+      low[f] = sumLow / frameSize;
+      if (full[f] > maxFull) maxFull = full[f];
+      if (low[f] > maxLow) maxLow = low[f];
+    }
+
+    // Log compression with a floor 50 dB under the peak, so noise in fades doesn't read as onsets
+    const flux = (energy, max) => {
+      const floor = Math.max(max * 1e-5, 1e-12);
+      const out = new Float32Array(energy.length);
+      let prev = Math.log(Math.max(energy[0] || 0, floor));
+      for (let f = 1; f < energy.length; f++) {
+        const cur = Math.log(Math.max(energy[f], floor));
+        out[f] = Math.max(0, cur - prev);
+        prev = cur;
       }
+      return out;
+    };
+    return { full: flux(full, maxFull), low: flux(low, maxLow) };
+  }
+
+  // Strongest autocorrelation lag (frames, fractional) in [minLag, maxLag] over env[from, to).
+  // With prefLag, lags are weighted by a log-Gaussian around it to settle octave ambiguity.
+  function tempoLag(env, from, to, minLag, maxLag, prefLag) {
+    const scores = new Float32Array(maxLag + 2);
+    for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+      let sum = 0;
+      for (let i = from + lag; i < to; i++) sum += env[i] * env[i - lag];
+      scores[lag] = sum / Math.max(1, to - from - lag);
     }
+    let best = 0, bestLag = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      const w = prefLag ? Math.exp(-0.5 * Math.pow(Math.log2(lag / prefLag) / 0.9, 2)) : 1;
+      if (scores[lag] * w > best) { best = scores[lag] * w; bestLag = lag; }
+    }
+    if (!bestLag) return 0;
+    // Parabolic interpolation for a fractional period
+    const a = scores[bestLag - 1], b = scores[bestLag], c = scores[bestLag + 1];
+    const denom = a - 2 * b + c;
+    return bestLag + (denom < 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denom)) : 0);
+  }
 
-    let bestBpm = 120;
-    let bestCount = 0;
-    for (const [bpm, count] of Object.entries(bpmCounts)) {
-      if (count > bestCount) {
-        bestCount = count;
-        bestBpm = parseInt(bpm);
+  function detectBeats(audioBuf) {
+    if (!audioBuf) return null;
+    const sr = audioBuf.sampleRate;
+    const { full, low } = onsetEnvelope(audioBuf);
+    const n = full.length;
+    if (n < BEAT_FPS * 4) return null;
+
+    // Remove the local mean (±0.5 s) and normalize, so loud and quiet passages weigh alike
+    const normalize = (env) => {
+      const out = new Float32Array(env.length);
+      const half = BEAT_FPS / 2;
+      let sum = 0, lo = 0, hi = 0;
+      for (let f = 0; f < env.length; f++) {
+        while (hi < Math.min(env.length, f + half)) sum += env[hi++];
+        while (lo < f - half) sum -= env[lo++];
+        out[f] = Math.max(0, env[f] - sum / (hi - lo));
+      }
+      let sq = 0;
+      for (let f = 0; f < out.length; f++) sq += out[f] * out[f];
+      const std = Math.sqrt(sq / out.length);
+      if (std > 0) for (let f = 0; f < out.length; f++) out[f] /= std;
+      return out;
+    };
+    const odf = normalize(full);
+    const lowOdf = normalize(low);
+
+    // Global period, 60–200 BPM, leaning towards 120
+    const minLag = Math.round(BEAT_FPS * 60 / 200);
+    const maxLag = Math.round(BEAT_FPS * 60 / 60);
+    const globalLag = tempoLag(odf, 0, n, minLag, maxLag, BEAT_FPS / 2);
+    if (!globalLag) return null;
+
+    // Local period per window, within ±40% of the global one (leaning towards it), median-smoothed
+    const win = BEAT_TEMPO_WINDOW * BEAT_FPS;
+    const step = win / 4;
+    const centers = [], lags = [];
+    const meanOdf = odf.reduce((s, v) => s + v, 0) / n;
+    for (let start = 0; start === 0 || start + win <= n; start += step) {
+      const end = Math.min(n, start + win);
+      let energy = 0;
+      for (let f = start; f < end; f++) energy += odf[f];
+      const lag = energy / (end - start) > meanOdf * 0.25 // near-silent windows keep the global period
+        ? tempoLag(odf, start, end, Math.max(minLag, Math.floor(globalLag / 1.4)), Math.min(maxLag, Math.ceil(globalLag * 1.4)), globalLag)
+        : 0;
+      centers.push((start + end) / 2);
+      lags.push(lag || globalLag);
+    }
+    const smooth = lags.map((_, i) => {
+      const w = lags.slice(Math.max(0, i - 1), i + 2).sort((x, y) => x - y);
+      return w[w.length >> 1];
+    });
+    const period = new Float32Array(n);
+    for (let f = 0, w = 0; f < n; f++) {
+      while (w < centers.length - 1 && centers[w + 1] <= f) w++;
+      if (f <= centers[0] || w === centers.length - 1) period[f] = smooth[w];
+      else {
+        const t = (f - centers[w]) / (centers[w + 1] - centers[w]);
+        period[f] = smooth[w] + t * (smooth[w + 1] - smooth[w]);
       }
     }
 
-    // Find downbeat (first strong onset)
-    const firstOnset = onsets[0] || 0;
+    // Dynamic programming: each frame's best predecessor about one local period back
+    const score = new Float32Array(n);
+    const back = new Int32Array(n).fill(-1);
+    for (let f = 0; f < n; f++) {
+      const p = period[f];
+      let best = -Infinity, bestPrev = -1;
+      for (let prev = Math.max(0, f - Math.round(p * 2)); prev <= f - Math.round(p / 2); prev++) {
+        const dev = Math.log((f - prev) / p);
+        const v = score[prev] - BEAT_TIGHTNESS * dev * dev;
+        if (v > best) { best = v; bestPrev = prev; }
+      }
+      // A chain that only costs us is dropped — the beat starts a fresh one
+      score[f] = odf[f] + Math.max(0, best);
+      back[f] = best > 0 ? bestPrev : -1;
+    }
 
-    // Generate quantized grid
-    const beatInterval = 60 / bestBpm;
-    const duration = audioBuf.duration;
+    // Last beat: the final local maximum of the cumulative score that's above half the median peak
+    const peaks = [];
+    for (let f = 1; f < n - 1; f++) {
+      if (score[f] > score[f - 1] && score[f] >= score[f + 1]) peaks.push(f);
+    }
+    if (!peaks.length) return null;
+    const median = peaks.map(f => score[f]).sort((x, y) => x - y)[peaks.length >> 1];
+    let last = peaks[peaks.length - 1];
+    for (let i = peaks.length - 1; i >= 0; i--) {
+      if (score[peaks[i]] > median * 0.5) { last = peaks[i]; break; }
+    }
+    const frames = [];
+    for (let f = last; f >= 0; f = back[f]) frames.unshift(f);
+
+    // The tracker runs on into silence at either end — trim beats with no hit under them
+    const hitAt = (f) => {
+      let peak = 0;
+      for (let i = Math.max(0, f - 2); i <= Math.min(n - 1, f + 2); i++) peak = Math.max(peak, odf[i]);
+      return peak;
+    };
+    const typical = frames.map(hitAt).sort((x, y) => x - y)[frames.length >> 1];
+    while (frames.length && hitAt(frames[0]) < typical * 0.1) frames.shift();
+    while (frames.length && hitAt(frames[frames.length - 1]) < typical * 0.1) frames.pop();
+    if (frames.length < 4) return null;
+
+    // Frame → seconds, refined to the flux peak; the first frame to see a hit starts a hop before it
+    const hop = sr / BEAT_FPS;
+    const beats = frames.map(f => {
+      const a = full[f - 1] || 0, b = full[f], c = full[f + 1] || 0;
+      const denom = a - 2 * b + c;
+      const frac = (b >= a && b >= c && denom < 0) ? 0.5 * (a - c) / denom : 0;
+      return (f + 1 + frac) * hop / sr;
+    });
 
-    // Snap first beat to nearest onset
-    let gridStart = firstOnset;
-    // Walk backwards from first onset to time 0
-    while (gridStart - beatInterval > 0) gridStart -= beatInterval;
+    // Meter + downbeat: which beat-in-bar position stands out in low-end accent
+    const accent = frames.map(f => {
+      let lowPeak = 0;
+      for (let i = Math.max(0, f - 2); i <= Math.min(n - 1, f + 2); i++) lowPeak = Math.max(lowPeak, lowOdf[i]);
+      return lowPeak + 0.5 * hitAt(f);
+    });
+    const accMean = accent.reduce((s, v) => s + v, 0) / accent.length;
+    const accStd = Math.sqrt(accent.reduce((s, v) => s + (v - accMean) * (v - accMean), 0) / accent.length) || 1;
+    let beatsPerBar = 4, downbeatIndex = 0, bestScore = 0;
+    for (const [m, prior] of Object.entries(BEAT_METERS).map(([k, w]) => [+k, w])) {
+      if (beats.length < m * 4) continue; // need a few bars to judge
+      for (let phase = 0; phase < m; phase++) {
+        let sum = 0, count = 0;
+        for (let i = phase; i < accent.length; i += m) { sum += accent[i]; count++; }
+        const contrast = (sum / count - accMean) / accStd * prior;
+        if (contrast > bestScore) { bestScore = contrast; beatsPerBar = m; downbeatIndex = phase; }
+      }
+    }
+    // No clear accent pattern — keep 4 beats to the bar, downbeat on the strongest of the first four
+    if (bestScore < 0.25) {
+      beatsPerBar = 4;
+      downbeatIndex = 0;
+      for (let phase = 1; phase < 4; phase++) {
+        let a = 0, b = 0;
+        for (let i = phase; i < accent.length; i += 4) a += accent[i];
+        for (let i = downbeatIndex; i < accent.length; i += 4) b += accent[i];
+        if (a > b) downbeatIndex = phase;
+      }
+    }
 
-    const beats = [];
-    for (let t = gridStart; t < duration; t += beatInterval) {
-      if (t >= 0) beats.push(t);
+    // Tempo map: one entry per run of bars at a steady tempo (>3% for two bars starts a new one)
+    const barBpm = [];
+    for (let i = downbeatIndex; i + beatsPerBar < beats.length; i += beatsPerBar) {
+      barBpm.push({ sec: beats[i], bar: barBpm.length + 1, bpm: 60 * beatsPerBar / (beats[i + beatsPerBar] - beats[i]) });
     }
+    const tempoMap = [];
+    let run = [];
+    const runBpm = () => run.reduce((s, b) => s + b.bpm, 0) / run.length;
+    const flush = () => {
+      if (run.length) tempoMap.push({ sec: run[0].sec, bar: run[0].bar, bpm: Math.round(runBpm() * 10) / 10 });
+    };
+    for (let i = 0; i < barBpm.length; i++) {
+      const off = (b) => b && run.length && Math.abs(b.bpm - runBpm()) / runBpm() > 0.03;
+      if (off(barBpm[i]) && off(barBpm[i + 1])) { flush(); run = []; }
+      run.push(barBpm[i]);
+    }
+    flush();
+    // Drop runs that round to the same tempo as the one before
+    for (let i = tempoMap.length - 1; i > 0; i--) {
+      if (Math.round(tempoMap[i].bpm) === Math.round(tempoMap[i - 1].bpm)) tempoMap.splice(i, 1);
+    }
+
+    // Headline tempo: the section that lasts longest
+    let bpm = 0, longest = 0;
+    tempoMap.forEach((entry, i) => {
+      const end = i + 1 < tempoMap.length ? tempoMap[i + 1].sec : beats[beats.length - 1];
+      if (end - entry.sec > longest) { longest = end - entry.sec; bpm = Math.round(entry.bpm); }
+    });
+    if (!bpm) bpm = Math.round(60 * (beats.length - 1) / (beats[beats.length - 1] - beats[0]));
 
     return {
-      bpm: bestBpm,
+      bpm: bpm,
       beats: beats,
-      beatsPerBar: 4, // assume 4/4 for now
-      firstDownbeat: gridStart,
+      beatsPerBar: beatsPerBar,
+      downbeatIndex: downbeatIndex,    // index into beats of the first downbeat
+      firstDownbeat: beats[downbeatIndex],
+      tempoMap: tempoMap,              // [{ sec, bar, bpm }], one per steady-tempo section
     };
   }
 
+  // "bar.beat" for a time on the grid (bar 0 is a pickup before the first downbeat)
+  function fmtBarsBeats(sec, grid) {
+    const beats = grid.beats;
+    let idx;
+    if (sec < beats[0]) {
+      idx = -Math.ceil((beats[0] - sec) / (beats[1] - beats[0]) - 1e-9);
+    } else if (sec >= beats[beats.length - 1]) {
+      const last = beats.length - 1;
+      idx = last + Math.floor((sec - beats[last]) / (beats[last] - beats[last - 1]) + 1e-9);
+    } else {
+      let lo = 0, hi = beats.length - 1;
+      while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (beats[mid] <= sec) lo = mid; else hi = mid;
+      }
+      idx = lo;
+    }
+    const pos = idx - grid.downbeatIndex;
+    const bar = Math.floor(pos / grid.beatsPerBar);
+    return (bar + 1) + '.' + (pos - bar * grid.beatsPerBar + 1);
+  }
+
 
   // ── Diff analysis for Drift Map ──
   //
   // Computes per-bin RMS of the actual sample-level difference between two tracks.
-  // Uses time-based addressing so buffers with different sample counts stay aligned.
+  // Uses time-based addressing so buffers with different sample counts stay aligned;
+  // B is brought to A's sample rate first so the subtraction is sample-for-sample.
+  // aShiftSec/bShiftSec are the per-lane head shifts used by the playback engine.
+  // `view` picks the channel view; in stereo the bin takes the louder of the L and R differences.
+  // bSign = -1 compares against B with its polarity flipped.
   // Returns { data: Float32Array, max: number } — raw (un-normalized) RMS values
   // so that zoomed regions use the same scale as the full track.
 
-  function computeDiffData(bufA, bufB, numBins, alignedDuration, offsetB, startSec, endSec) {
+  function computeDiffData(bufA, bufB, numBins, alignedDuration, aShiftSec, bShiftSec, startSec, endSec, view, bSign) {
     if (!bufA || !bufB) return null;
+    bufB = matchRate(bufB, bufA.sampleRate);
     const srA = bufA.sampleRate;
     const srB = bufB.sampleRate;
-    const chanA = bufA.getChannelData(0);
-    const chanB = bufB.getChannelData(0);
-
-    // Alignment shifts (same logic as playback engine)
-    const aShiftSec = Math.max(0, -(offsetB || 0));
-    const bShiftSec = Math.max(0, (offsetB || 0));
+    const chansA = analysisChannels(bufA, view);
+    const chansB = analysisChannels(bufB, view);
+    // A mono track compares its single channel against both sides of a stereo one
+    const nCh = Math.max(chansA.length, chansB.length);
+    aShiftSec = aShiftSec || 0;
+    bShiftSec = bShiftSec || 0;
+    const sign = bSign === -1 ? -1 : 1;
 
     // Common aligned duration
     const dur = alignedDuration || Math.min(bufA.duration - aShiftSec, bufB.duration - bShiftSec);
@@ -359,598 +1202,3470 @@ const CompConsole = (() => {
 
       // Sample ranges for this bin — apply alignment shifts
       const aStart = Math.floor((tStart + aShiftSec) * srA);
-      const aEnd = Math.min(Math.floor((tEnd + aShiftSec) * srA), chanA.length);
+      const aEnd = Math.min(Math.floor((tEnd + aShiftSec) * srA), chansA[0].length);
       const bStart = Math.floor((tStart + bShiftSec) * srB);
-      const bEnd = Math.min(Math.floor((tEnd + bShiftSec) * srB), chanB.length);
+      const bEnd = Math.min(Math.floor((tEnd + bShiftSec) * srB), chansB[0].length);
       const count = Math.min(aEnd - aStart, bEnd - bStart);
       if (count <= 0) continue;
 
-      let sumSq = 0;
-      for (let j = 0; j < count; j++) {
-        const d = chanA[aStart + j] - chanB[bStart + j];
-        sumSq += d * d;
+      let worst = 0;
+      for (let c = 0; c < nCh; c++) {
+        const chanA = chansA[Math.min(c, chansA.length - 1)];
+        const chanB = chansB[Math.min(c, chansB.length - 1)];
+        let sumSq = 0;
+        for (let j = 0; j < count; j++) {
+          const d = chanA[aStart + j] - sign * chanB[bStart + j];
+          sumSq += d * d;
+        }
+        worst = Math.max(worst, sumSq);
       }
-      diff[i] = Math.sqrt(sumSq / count); // RMS of difference
+      diff[i] = Math.sqrt(worst / count); // RMS of difference
       if (diff[i] > maxVal) maxVal = diff[i];
     }
 
     return { data: diff, max: maxVal };
   }
 
+  // Drift bins above this fraction of the full-track max count as a real difference.
+  // High enough to reject MP3 codec artifacts (~0.15-0.40 of max), low enough to catch
+  // word changes and mix changes.
+  const DIFF_THRESHOLD = 0.5;
+  const DIFF_REGION_GAP = 1;     // hot runs closer than this (sec) merge into one region
+  const DIFF_REGION_PAD = 1;     // loop this much (sec) either side of a region
+
+  // Drift data → discrete change regions, biggest first:
+  // [{ start, end, peak (raw RMS), level (dBFS of the difference) }]
+  function findDiffRegions(data, max, duration) {
+    if (!data || !(max > 1e-4) || !duration) return []; // ~-80 dB: nothing but dither
+    const binDur = duration / data.length;
+    const regions = [];
+    let cur = null;
+    for (let i = 0; i < data.length; i++) {
+      if (data[i] <= max * DIFF_THRESHOLD) continue;
+      const start = i * binDur, end = (i + 1) * binDur;
+      if (cur && start - cur.end < DIFF_REGION_GAP) {
+        cur.end = end;
+        cur.peak = Math.max(cur.peak, data[i]);
+      } else {
+        cur = { start, end, peak: data[i] };
+        regions.push(cur);
+      }
+    }
+    for (const r of regions) r.level = 20 * Math.log10(r.peak);
+    return regions.sort((a, b) => b.peak - a.peak);
+  }
 
-  // ══════════════════════════════════════════════════
-  //  CompInstance — one mounted comp console
-  // ══════════════════════════════════════════════════
 
-  class CompInstance {
-    constructor(container, opts) {
-      this.container = container;
-      this.opts = Object.assign({
-        heading: '',             // e.g. 'COMP' — small label above track names
-        title: '',               // e.g. 'LOOK AWAY' — shared track title
-        meta: null,              // e.g. ['113 BPM', 'A♭ major', '4/4', 'INDIE ROCK']
-        trackA: null,
-        trackB: null,
-        alignment: false,
-        restrictRegion: false,
-        loopStart: 0,
-        loopEnd: 1,
-        activeTrack: 'A',
-        markers: [],
-        isZoomed: false,
-        zoomStart: 0,
-        zoomEnd: 1,
-        beatGridVisible: false,
-        driftMapVisible: false,
-        lastPlayheadSec: 0,
-        features: { scrubbing: true, beatGrid: true, driftMap: true, markers: true },
-        onPlay: null,
-        onStop: null,
-        onTrackSwitch: null,
-        onSeek: null,
-        onMarkerPlace: null,
-        onMarkerRemove: null,
-      }, opts);
+  // ── Spectral drift ──
+  //
+  // Same aligned, time-addressed walk as computeDiffData, but each bin is split into
+  // log-spaced frequency bands: a few Hann-windowed FFT frames of the difference signal
+  // per bin, band energies averaged. Returns { data, bandMax, bands } with data laid out
+  // bin-major (data[bin * bands.length + band]) and bandMax holding each band's raw max,
+  // so zoomed regions can be drawn against the full-track scale.
+
+  const SPECTRAL_FFT = 2048;
+  const SPECTRAL_BANDS = 24;
+  const SPECTRAL_FRAMES_PER_BIN = 3;
+
+  // In-place iterative radix-2 FFT (length must be a power of two)
+  function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) j ^= bit;
+      j ^= bit;
+      if (i < j) {
+        [re[i], re[j]] = [re[j], re[i]];
+        [im[i], im[j]] = [im[j], im[i]];
+      }
+    }
+    for (let len = 2; len <= n; len <<= 1) {
+      const ang = -2 * Math.PI / len;
+      const wRe = Math.cos(ang), wIm = Math.sin(ang);
+      for (let i = 0; i < n; i += len) {
+        let cRe = 1, cIm = 0;
+        for (let k = 0; k < len / 2; k++) {
+          const a = i + k, b = a + len / 2;
+          const tRe = re[b] * cRe - im[b] * cIm;
+          const tIm = re[b] * cIm + im[b] * cRe;
+          re[b] = re[a] - tRe; im[b] = im[a] - tIm;
+          re[a] += tRe; im[a] += tIm;
+          const nRe = cRe * wRe - cIm * wIm;
+          cIm = cRe * wIm + cIm * wRe;
+          cRe = nRe;
+        }
+      }
+    }
+  }
 
-      // Audio state
-      this.ctx = null;
-      this.sourceA = null;
-      this.sourceB = null;
-      this.gainA = null;
-      this.gainB = null;
-      this.bufferA = null;
-      this.bufferB = null;
-      this.peaksA = null;
-      this.peaksB = null;
-      this.offsetB = 0;
-      this.startedAt = null;
-      this.startOffset = 0;
-      this.animFrame = null;
-      this.isPlaying = false;
-      this.activeTrack = this.opts.activeTrack || 'A';
-      this.duration = 0;
-      this.lastPlayheadSec = this.opts.lastPlayheadSec || 0;
+  // Log-spaced bands from 40 Hz to 16 kHz (or Nyquist) as FFT bin ranges [lo, hi)
+  function spectralBands(sr, fftSize, numBands) {
+    const fLo = 40, fHi = Math.min(16000, sr / 2);
+    const hzPerBin = sr / fftSize;
+    const bands = [];
+    for (let b = 0; b < numBands; b++) {
+      const f0 = fLo * Math.pow(fHi / fLo, b / numBands);
+      const f1 = fLo * Math.pow(fHi / fLo, (b + 1) / numBands);
+      const lo = Math.floor(f0 / hzPerBin);
+      bands.push({ f0, f1, lo, hi: Math.max(lo + 1, Math.floor(f1 / hzPerBin)) });
+    }
+    return bands;
+  }
 
-      // Loop state (0-1 fractions)
-      this.loopStart = this.opts.loopStart;
-      this.loopEnd = this.opts.loopEnd;
-      this.loopStartSec = 0;
-      this.loopEndSec = 0;
+  function computeSpectralDiff(bufA, bufB, numBins, alignedDuration, aShiftSec, bShiftSec, startSec, endSec, view, bSign) {
+    if (!bufA || !bufB) return null;
+    bufB = matchRate(bufB, bufA.sampleRate);
+    const srA = bufA.sampleRate;
+    const srB = bufB.sampleRate;
+    const chansA = analysisChannels(bufA, view);
+    const chansB = analysisChannels(bufB, view);
+    const nCh = Math.max(chansA.length, chansB.length);
+    aShiftSec = aShiftSec || 0;
+    bShiftSec = bShiftSec || 0;
+    const sign = bSign === -1 ? -1 : 1;
 
-      // Single-track mode (no A/B switching)
-      this.isSingleTrack = !this.opts.trackA || !this.opts.trackB;
+    const dur = alignedDuration || Math.min(bufA.duration - aShiftSec, bufB.duration - bShiftSec);
+    const regionStart = startSec || 0;
+    const regionEnd = endSec || dur;
+    const regionDur = regionEnd - regionStart;
+    if (regionDur <= 0) return null;
 
-      // UI state
-      this.draggingHandle = null;
-      this.frozenToastTimer = null;
-      this.beatGrid = null;          // result from detectBeats()
-      this.diffData = null;          // Float32Array of raw RMS diff values
-      this.diffMax = 0;              // max RMS from full-track diff (used as normalization reference)
-      this.beatGridVisible = !!this.opts.beatGridVisible;
-      this.driftMapVisible = !!this.opts.driftMapVisible;
-      this.markers = [];             // array of { sec, el }
-      this.ghostMarker = null;       // { sec, el } or null
+    const N = SPECTRAL_FFT;
+    const bands = spectralBands(srA, N, SPECTRAL_BANDS);
+    const numBands = bands.length;
+    const win = new Float32Array(N);
+    let winSum = 0;
+    for (let i = 0; i < N; i++) { win[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (N - 1)); winSum += win[i]; }
+    const re = new Float32Array(N), im = new Float32Array(N);
+    const power = new Float32Array(numBands);      // worst channel, per band
+    const chanPower = new Float32Array(numBands);  // frame-averaged, current channel
+    const data = new Float32Array(numBins * numBands);
+    const bandMax = new Float32Array(numBands);
+
+    const binDur = regionDur / numBins;
+    const frameDur = N / srA;
+    const frames = Math.max(1, Math.min(SPECTRAL_FRAMES_PER_BIN, Math.floor(binDur / frameDur)));
 
-      // Zoom state
-      this.isZoomed = !!this.opts.isZoomed;
-      this.zoomStart = this.opts.zoomStart || 0;
-      this.zoomEnd = (this.opts.zoomEnd != null) ? this.opts.zoomEnd : 1;
-      this.zoomedPeaksA = null;
-      this.zoomedPeaksB = null;
+    for (let i = 0; i < numBins; i++) {
+      const tStart = regionStart + i * binDur;
+      power.fill(0);
+      for (let c = 0; c < nCh; c++) {
+        const chanA = chansA[Math.min(c, chansA.length - 1)];
+        const chanB = chansB[Math.min(c, chansB.length - 1)];
+        chanPower.fill(0);
+        for (let f = 0; f < frames; f++) {
+          // Frames spread evenly across the bin (centered on it when the bin is shorter than a frame)
+          const t = tStart + (f + 0.5) * binDur / frames - frameDur / 2;
+          const aStart = Math.floor((t + aShiftSec) * srA);
+          const bStart = Math.floor((t + bShiftSec) * srB);
+          for (let j = 0; j < N; j++) {
+            const a = chanA[aStart + j] || 0, b = chanB[bStart + j] || 0;
+            re[j] = (a - sign * b) * win[j];
+            im[j] = 0;
+          }
+          fft(re, im);
+          for (let k = 0; k < numBands; k++) {
+            const { lo, hi } = bands[k];
+            let sum = 0;
+            for (let m = lo; m < hi; m++) sum += re[m] * re[m] + im[m] * im[m];
+            chanPower[k] += sum / (hi - lo) / frames;
+          }
+        }
+        for (let k = 0; k < numBands; k++) power[k] = Math.max(power[k], chanPower[k]);
+      }
+      for (let k = 0; k < numBands; k++) {
+        const v = Math.sqrt(power[k]) * 2 / winSum; // band amplitude of the difference
+        data[i * numBands + k] = v;
+        if (v > bandMax[k]) bandMax[k] = v;
+      }
+    }
 
-      // Scrub state
-      this.isScrubbing = false;
-      this.scrubAudioTimer = null;
+    return { data, bandMax, bands: bands.map(b => [b.f0, b.f1]) };
+  }
+
+
+  // ── Spectrogram ──
+  //
+  // One Hann-windowed FFT frame centred on each of `columns` points across [startSec, endSec)
+  // of the buffer, folded onto `rows` frequency rows on a linear, log or mel axis. Levels are
+  // dBFS (a full-scale sine reads 0), floored at SPECTRO_FLOOR_DB, laid out row-major from
+  // the top (highest) row down so they drop straight into an ImageData.
+
+  const SPECTRO_FFT_SIZES = [512, 1024, 2048, 4096, 8192];
+  const SPECTRO_SCALES = { linear: 'Lin', log: 'Log', mel: 'Mel' };
+  const SPECTRO_MODES = ['off', 'under', 'replace'];
+  const SPECTRO_MIN_HZ = 20;     // bottom of the log + mel axes
+  const SPECTRO_FLOOR_DB = -100;
+
+  // Row edges as (fractional) FFT bins, rows + 1 of them from the bottom up
+  function spectrogramEdges(fftSize, sampleRate, rows, scale) {
+    const nyquist = sampleRate / 2;
+    const lo = scale === 'linear' ? 0 : SPECTRO_MIN_HZ;
+    const mel = (f) => 2595 * Math.log10(1 + f / 700);
+    const edges = new Float64Array(rows + 1);
+    for (let r = 0; r <= rows; r++) {
+      const t = r / rows;
+      let f;
+      if (scale === 'linear') f = lo + t * (nyquist - lo);
+      else if (scale === 'mel') f = 700 * (Math.pow(10, (mel(lo) + t * (mel(nyquist) - mel(lo))) / 2595) - 1);
+      else f = lo * Math.pow(nyquist / lo, t);
+      edges[r] = f * fftSize / sampleRate;
+    }
+    return edges;
+  }
+
+  // → { data: Float32Array(rows * columns) dB, columns, rows }
+  function computeSpectrogram(audioBuf, startSec, endSec, columns, rows, fftSize, scale, view) {
+    if (!audioBuf || !(columns > 0) || !(rows > 0) || !(endSec > startSec)) return null;
+    const sr = audioBuf.sampleRate;
+    // Stereo shows the mid fold-down; single-channel views show that channel
+    const chan = analysisChannels(audioBuf, !view || view === 'stereo' ? 'M' : view)[0];
+    const N = fftSize;
+    const half = N / 2;
+    const win = new Float32Array(N);
+    for (let i = 0; i < N; i++) win[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (N - 1));
+    const re = new Float32Array(N), im = new Float32Array(N);
+    const mags = new Float32Array(half);
+    const norm = 4 / N; // 2/N for one-sided magnitude, ×2 for the Hann window's coherent gain
+    const edges = spectrogramEdges(N, sr, rows, scale);
+    const data = new Float32Array(columns * rows);
+    const step = (endSec - startSec) / columns;
+    let lastStart = NaN;
+
+    for (let c = 0; c < columns; c++) {
+      const start = Math.round((startSec + (c + 0.5) * step) * sr) - half;
+      // Zoomed in past one frame per column: neighbouring columns share a frame
+      if (start !== lastStart) {
+        for (let i = 0; i < N; i++) {
+          const j = start + i;
+          re[i] = j >= 0 && j < chan.length ? chan[j] * win[i] : 0;
+          im[i] = 0;
+        }
+        fft(re, im);
+        for (let k = 0; k < half; k++) mags[k] = Math.sqrt(re[k] * re[k] + im[k] * im[k]) * norm;
+        lastStart = start;
+      }
+      for (let r = 0; r < rows; r++) {
+        const a = edges[r], b = edges[r + 1];
+        let m = 0;
+        if (Math.ceil(b) - Math.floor(a) <= 1) {
+          // Row narrower than a bin (low end of log/mel): interpolate between bins
+          const k = Math.min(half - 2, (a + b) / 2);
+          const k0 = Math.floor(k), f = k - k0;
+          m = mags[k0] * (1 - f) + mags[k0 + 1] * f;
+        } else {
+          for (let k = Math.floor(a); k < Math.min(half, Math.ceil(b)); k++) if (mags[k] > m) m = mags[k];
+        }
+        data[(rows - 1 - r) * columns + c] = m > 0 ? Math.max(SPECTRO_FLOOR_DB, 20 * Math.log10(m)) : SPECTRO_FLOOR_DB;
+      }
+    }
+    return { data, columns, rows };
+  }
+
+
+  // ── Loudness (ITU-R BS.1770 integrated loudness) ──
+  //
+  // K-weighting is a high shelf (head effects) followed by the RLB high-pass.
+  // Coefficients are derived per sample rate (same derivation as libebur128)
+  // so 44.1k and 48k material measure identically.
+
+  function kWeightingCoeffs(sr) {
+    let K = Math.tan(Math.PI * 1681.974450955533 / sr);
+    let Q = 0.7071752369554196;
+    const Vh = Math.pow(10, 3.999843853973347 / 20);
+    const Vb = Math.pow(Vh, 0.4996667741545416);
+    let a0 = 1 + K / Q + K * K;
+    const shelf = {
+      b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+      a: [1, 2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0],
+    };
+
+    K = Math.tan(Math.PI * 38.13547087602444 / sr);
+    Q = 0.5003270373238773;
+    a0 = 1 + K / Q + K * K;
+    const highpass = {
+      b: [1, -2, 1],
+      a: [1, 2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0],
+    };
+    return [shelf, highpass];
+  }
+
+  // Returns gated integrated loudness in LUFS for a time region (whole buffer by default).
+  // Silence returns -Infinity.
+  function measureLoudness(audioBuf, startSec, endSec) {
+    if (!audioBuf) return -Infinity;
+    const sr = audioBuf.sampleRate;
+    const numCh = Math.min(2, audioBuf.numberOfChannels);
+    const sStart = startSec ? Math.max(0, Math.floor(startSec * sr)) : 0;
+    const sEnd = endSec ? Math.min(Math.floor(endSec * sr), audioBuf.length) : audioBuf.length;
+    const regionLen = sEnd - sStart;
+    if (regionLen <= 0) return -Infinity;
+
+    const [s, h] = kWeightingCoeffs(sr);
+
+    // Mean square per 100ms step (summed over channels); gating blocks are 4 steps = 400ms, 75% overlap
+    const step = Math.min(regionLen, Math.floor(0.1 * sr));
+    const numSteps = Math.floor(regionLen / step);
+    const stepPower = new Float64Array(numSteps);
+
+    for (let c = 0; c < numCh; c++) {
+      const x = audioBuf.getChannelData(c);
+      let x1 = 0, x2 = 0, y1 = 0, y2 = 0, z1 = 0, z2 = 0;
+      for (let st = 0; st < numSteps; st++) {
+        let sum = 0;
+        const base = sStart + st * step;
+        for (let i = 0; i < step; i++) {
+          const x0 = x[base + i];
+          const y0 = s.b[0] * x0 + s.b[1] * x1 + s.b[2] * x2 - s.a[1] * y1 - s.a[2] * y2;
+          const z0 = y0 - 2 * y1 + y2 - h.a[1] * z1 - h.a[2] * z2;
+          x2 = x1; x1 = x0;
+          y2 = y1; y1 = y0;
+          z2 = z1; z1 = z0;
+          sum += z0 * z0;
+        }
+        stepPower[st] += sum / step;
+      }
+    }
+
+    const blocks = [];
+    if (numSteps < 4) {
+      let sum = 0;
+      for (let st = 0; st < numSteps; st++) sum += stepPower[st];
+      blocks.push(sum / numSteps);
+    } else {
+      for (let st = 0; st + 4 <= numSteps; st++) {
+        blocks.push((stepPower[st] + stepPower[st + 1] + stepPower[st + 2] + stepPower[st + 3]) / 4);
+      }
+    }
+
+    const toLufs = (p) => -0.691 + 10 * Math.log10(p);
+    const absGate = Math.pow(10, (-70 + 0.691) / 10);
+
+    let sum = 0, count = 0;
+    for (const p of blocks) if (p > absGate) { sum += p; count++; }
+    if (!count) return -Infinity;
+
+    // Relative gate: 10 LU below the absolute-gated mean
+    const relGate = (sum / count) * 0.1;
+    let gSum = 0, gCount = 0;
+    for (const p of blocks) if (p > absGate && p > relGate) { gSum += p; gCount++; }
+    return gCount ? toLufs(gSum / gCount) : -Infinity;
+  }
+
+
+  // ── Track Metadata (key, true peak) ──
+  //
+  // Key: chroma summed over FFT frames spread across the track, correlated against
+  // the Krumhansl–Kessler major/minor profiles in all twelve rotations.
+  // True peak: 4× oversampled with windowed-sinc phases (ITU-R BS.1770 annex 2 style).
+
+  const KEY_MAJOR = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+  const KEY_MINOR = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+  const KEY_NAMES_MAJOR = ['C', 'D♭', 'D', 'E♭', 'E', 'F', 'F♯', 'G', 'A♭', 'A', 'B♭', 'B'];
+  const KEY_NAMES_MINOR = ['C', 'C♯', 'D', 'E♭', 'E', 'F', 'F♯', 'G', 'G♯', 'A', 'B♭', 'B'];
+  const KEY_FRAMES = 240;        // FFT frames sampled across the track
+  const TRUE_PEAK_TAPS = 12;     // interpolation filter length per phase
+
+  // → { name: 'A♭ major', tonic: 0-11 (C = 0), mode: 'major' | 'minor', confidence: 0-1 } or null
+  function detectKey(audioBuf) {
+    if (!audioBuf) return null;
+    const sr = audioBuf.sampleRate;
+    const chan = monoChannel(audioBuf);
+    const N = sr > 32000 ? 8192 : 4096; // ~5 Hz bins, enough to separate semitones above ~80 Hz
+    if (chan.length < N) return null;
+
+    // FFT bin → pitch class, for bins between C2 and C7
+    const pcOf = new Int8Array(N / 2).fill(-1);
+    for (let k = 1; k < N / 2; k++) {
+      const freq = k * sr / N;
+      if (freq < 65 || freq > 2100) continue;
+      pcOf[k] = ((Math.round(12 * Math.log2(freq / 440)) + 9) % 12 + 12) % 12;
+    }
+
+    const win = new Float32Array(N);
+    for (let i = 0; i < N; i++) win[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (N - 1));
+    const re = new Float32Array(N), im = new Float32Array(N);
+    const chroma = new Float64Array(12);
+    const frame = new Float64Array(12);
+    const frames = Math.min(KEY_FRAMES, Math.floor(chan.length / N));
+    const step = (chan.length - N) / Math.max(1, frames - 1);
+    for (let f = 0; f < frames; f++) {
+      const start = Math.floor(f * step);
+      for (let i = 0; i < N; i++) { re[i] = chan[start + i] * win[i]; im[i] = 0; }
+      fft(re, im);
+      frame.fill(0);
+      let total = 0;
+      for (let k = 1; k < N / 2; k++) {
+        if (pcOf[k] < 0) continue;
+        const mag = Math.sqrt(re[k] * re[k] + im[k] * im[k]);
+        frame[pcOf[k]] += mag;
+        total += mag;
+      }
+      // Each frame votes equally, so loud sections don't outweigh the rest
+      if (total > 1e-6) for (let p = 0; p < 12; p++) chroma[p] += frame[p] / total;
+    }
+
+    const correlate = (profile, tonic) => {
+      let mx = 0, my = 0;
+      for (let p = 0; p < 12; p++) { mx += chroma[p]; my += profile[p]; }
+      mx /= 12; my /= 12;
+      let sxy = 0, sxx = 0, syy = 0;
+      for (let p = 0; p < 12; p++) {
+        const x = chroma[(p + tonic) % 12] - mx, y = profile[p] - my;
+        sxy += x * y; sxx += x * x; syy += y * y;
+      }
+      return sxx > 0 ? sxy / Math.sqrt(sxx * syy) : 0;
+    };
+    let best = null;
+    for (let tonic = 0; tonic < 12; tonic++) {
+      for (const mode of ['major', 'minor']) {
+        const r = correlate(mode === 'major' ? KEY_MAJOR : KEY_MINOR, tonic);
+        if (!best || r > best.confidence) best = { tonic, mode, confidence: r };
+      }
+    }
+    if (!best || best.confidence <= 0) return null;
+    best.name = (best.mode === 'major' ? KEY_NAMES_MAJOR : KEY_NAMES_MINOR)[best.tonic] + ' ' + best.mode;
+    return best;
+  }
+
+  // Hann-windowed sinc taps for the three in-between phases (1/4, 2/4, 3/4);
+  // tap t of a phase weights sample i - TRUE_PEAK_TAPS / 2 + 1 + t
+  function truePeakPhases() {
+    const half = TRUE_PEAK_TAPS / 2;
+    return [0.25, 0.5, 0.75].map(frac => {
+      const taps = new Float32Array(TRUE_PEAK_TAPS);
+      for (let t = 0; t < TRUE_PEAK_TAPS; t++) {
+        const x = t - half + 1 - frac; // distance from the interpolated point to tap t
+        const sinc = Math.sin(Math.PI * x) / (Math.PI * x);
+        taps[t] = sinc * (0.5 + 0.5 * Math.cos(Math.PI * x / (half + 1)));
+      }
+      return taps;
+    });
+  }
+
+  // Highest inter-sample peak across channels, in dBTP (-Infinity for silence)
+  function measureTruePeak(audioBuf) {
+    if (!audioBuf) return -Infinity;
+    const half = TRUE_PEAK_TAPS / 2;
+    const phases = truePeakPhases();
+
+    let peak = 0;
+    const chans = [];
+    for (let c = 0; c < audioBuf.numberOfChannels; c++) {
+      const x = audioBuf.getChannelData(c);
+      chans.push(x);
+      for (let i = 0; i < x.length; i++) if (Math.abs(x[i]) > peak) peak = Math.abs(x[i]);
+    }
+    if (!peak) return -Infinity;
+
+    // Overs between samples stay within a few dB of their neighbours — only look near the top
+    const near = peak * 0.5;
+    let truePeak = peak;
+    for (const x of chans) {
+      for (let i = half - 1; i < x.length - half; i++) {
+        if (Math.abs(x[i]) < near && Math.abs(x[i + 1]) < near) continue;
+        for (const taps of phases) {
+          let y = 0;
+          for (let t = 0; t < TRUE_PEAK_TAPS; t++) y += taps[t] * x[i - half + 1 + t];
+          if (Math.abs(y) > truePeak) truePeak = Math.abs(y);
+        }
+      }
+    }
+    return 20 * Math.log10(truePeak);
+  }
+
+  // Per-track stats for the header meta (tempo + meter come from detectBeats)
+  function analyzeTrack(audioBuf) {
+    if (!audioBuf) return null;
+    return {
+      key: detectKey(audioBuf),
+      loudness: measureLoudness(audioBuf),
+      truePeak: measureTruePeak(audioBuf),
+    };
+  }
+
+  // ── Signal Issues (clipping, overs, DC, silence) ──
+  //
+  // Clipping: runs of CLIP_RUN+ samples at full scale. Overs: inter-sample peaks above
+  // 0 dBFS between samples that aren't themselves clipped. Silence: lead-in and tail
+  // below SILENCE_LEVEL; dropouts: near-digital silence inside the programme.
+
+  const CLIP_LEVEL = 0.999;        // ≈ −0.01 dBFS
+  const CLIP_RUN = 3;
+  const SILENCE_LEVEL = 0.001;     // −60 dBFS
+  const DROPOUT_LEVEL = 0.0001;    // −80 dBFS
+  const DROPOUT_MIN = 0.01;        // sec
+  const DC_LIMIT = 0.001;          // −60 dBFS mean
+  const ISSUE_MERGE = 0.05;        // events closer than this (sec) read as one
+
+  // → { clips: [{ start, end, samples }], overs: [{ start, end, peak (dBTP) }],
+  //     dropouts: [{ start, end }], dc: [mean per channel], dcOffset (worst, dBFS | -Infinity),
+  //     leadingSilence, trailingSilence } — times in seconds of this buffer
+  function detectIssues(audioBuf) {
+    if (!audioBuf) return null;
+    const sr = audioBuf.sampleRate;
+    const len = audioBuf.length;
+    const half = TRUE_PEAK_TAPS / 2;
+    const phases = truePeakPhases();
+    const chans = [];
+    for (let c = 0; c < audioBuf.numberOfChannels; c++) chans.push(audioBuf.getChannelData(c));
+
+    // Sample events → merged regions, across channels
+    const merge = (events) => {
+      events.sort((a, b) => a.start - b.start);
+      const out = [];
+      for (const e of events) {
+        const last = out[out.length - 1];
+        if (last && e.start - last.end < ISSUE_MERGE) {
+          last.end = Math.max(last.end, e.end);
+          if (e.samples) last.samples += e.samples;
+          if (e.peak) last.peak = Math.max(last.peak, e.peak);
+        } else out.push(Object.assign({}, e));
+      }
+      return out;
+    };
+
+    const clips = [], overs = [], dc = [];
+    const loudest = new Float32Array(len); // per-sample max |x| across channels
+    for (const x of chans) {
+      let sum = 0, run = 0;
+      for (let i = 0; i < len; i++) {
+        const a = Math.abs(x[i]);
+        sum += x[i];
+        if (a > loudest[i]) loudest[i] = a;
+        if (a >= CLIP_LEVEL) run++;
+        else {
+          if (run >= CLIP_RUN) clips.push({ start: (i - run) / sr, end: i / sr, samples: run });
+          run = 0;
+        }
+      }
+      if (run >= CLIP_RUN) clips.push({ start: (len - run) / sr, end: len / sr, samples: run });
+      dc.push(len ? sum / len : 0);
+
+      // Only pairs near full scale can interpolate above it
+      for (let i = half - 1; i < len - half; i++) {
+        const a = Math.abs(x[i]), b = Math.abs(x[i + 1]);
+        if ((a < 0.7 && b < 0.7) || a >= CLIP_LEVEL || b >= CLIP_LEVEL) continue;
+        let top = 0;
+        for (const taps of phases) {
+          let y = 0;
+          for (let t = 0; t < TRUE_PEAK_TAPS; t++) y += taps[t] * x[i - half + 1 + t];
+          if (Math.abs(y) > top) top = Math.abs(y);
+        }
+        if (top > 1) overs.push({ start: i / sr, end: (i + 1) / sr, peak: 20 * Math.log10(top) });
+      }
+    }
+
+    let head = 0, tail = len;
+    while (head < len && loudest[head] < SILENCE_LEVEL) head++;
+    while (tail > head && loudest[tail - 1] < SILENCE_LEVEL) tail--;
+
+    const dropouts = [];
+    const minRun = Math.round(DROPOUT_MIN * sr);
+    let run = 0;
+    for (let i = head; i < tail; i++) {
+      if (loudest[i] < DROPOUT_LEVEL) { run++; continue; }
+      if (run >= minRun) dropouts.push({ start: (i - run) / sr, end: i / sr });
+      run = 0;
+    }
+
+    const worstDc = dc.reduce((m, v) => Math.max(m, Math.abs(v)), 0);
+    return {
+      clips: merge(clips),
+      overs: merge(overs),
+      dropouts,
+      dc,
+      dcOffset: worstDc >= DC_LIMIT ? 20 * Math.log10(worstDc) : -Infinity,
+      leadingSilence: head / sr,
+      trailingSilence: (len - tail) / sr,
+    };
+  }
+
+  // 'A: 3 clipped runs (41 samples) · 2 overs up to +0.6 dBTP · 1 dropout · DC −48.2 dB · 0.40 s lead-in'
+  function issueSummary(id, issues) {
+    const parts = [];
+    const plural = (n, word) => n + ' ' + word + (n === 1 ? '' : 's');
+    if (issues.clips.length) {
+      const samples = issues.clips.reduce((n, c) => n + c.samples, 0);
+      parts.push(plural(issues.clips.length, 'clipped run') + ' (' + samples + ' samples)');
+    }
+    if (issues.overs.length) {
+      const peak = Math.max(...issues.overs.map(o => o.peak));
+      parts.push(plural(issues.overs.length, 'over') + ' up to ' + fmtDb(peak, 'dBTP'));
+    }
+    if (issues.dropouts.length) parts.push(plural(issues.dropouts.length, 'dropout'));
+    if (isFinite(issues.dcOffset)) parts.push('DC ' + fmtDb(issues.dcOffset));
+    if (issues.leadingSilence >= 0.05) parts.push(issues.leadingSilence.toFixed(2) + ' s lead-in');
+    if (issues.trailingSilence >= 0.05) parts.push(issues.trailingSilence.toFixed(2) + ' s tail');
+    return parts.length ? id + ': ' + parts.join(' · ') : '';
+  }
+
+  // One lane's header stats from detectBeats() + analyzeTrack()
+  function trackMeta(grid, stats, duration) {
+    const tempos = grid ? grid.tempoMap.map(s => Math.round(s.bpm)) : [];
+    return {
+      bpm: grid ? grid.bpm : null,
+      tempoRange: tempos.length > 1 ? [Math.min(...tempos), Math.max(...tempos)] : null,
+      meter: grid ? grid.beatsPerBar + ' beats/bar' : null, // the tracker finds beats per bar, not the note value
+      key: stats && stats.key ? stats.key.name : null,
+      keyConfidence: stats && stats.key ? stats.key.confidence : 0,
+      duration: duration,
+      loudness: stats ? stats.loudness : -Infinity,
+      truePeak: stats ? stats.truePeak : -Infinity,
+    };
+  }
+
+  // Header chips: '113 BPM', 'A♭ major', '4 beats/bar', '3:42', '−9.1 LUFS', '−0.4 dBTP'
+  function metaLabels(meta) {
+    const out = [];
+    if (meta.tempoRange) out.push(meta.tempoRange[0] + '–' + meta.tempoRange[1] + ' BPM');
+    else if (meta.bpm) out.push(meta.bpm + ' BPM');
+    if (meta.key) out.push(meta.key);
+    if (meta.meter) out.push(meta.meter);
+    out.push(fmtTime(meta.duration));
+    if (isFinite(meta.loudness)) out.push(fmtDb(meta.loudness, 'LUFS'));
+    if (isFinite(meta.truePeak)) out.push(fmtDb(meta.truePeak, 'dBTP'));
+    return out;
+  }
+
+  // 'B is +1.2 LU, −0.3 dBTP' — tempo, key, meter and length join in only when they differ
+  function metaDiffText(id, meta, ref) {
+    const parts = [];
+    if (isFinite(meta.loudness) && isFinite(ref.loudness)) parts.push(fmtDb(meta.loudness - ref.loudness, 'LU'));
+    if (isFinite(meta.truePeak) && isFinite(ref.truePeak)) parts.push(fmtDb(meta.truePeak - ref.truePeak, 'dBTP'));
+    if (meta.bpm && ref.bpm && meta.bpm !== ref.bpm) parts.push(meta.bpm + ' BPM');
+    if (meta.key && ref.key && meta.key !== ref.key) parts.push('in ' + meta.key);
+    if (meta.meter && ref.meter && meta.meter !== ref.meter) parts.push('in ' + meta.meter);
+    const dt = meta.duration - ref.duration;
+    if (Math.abs(dt) >= 0.5) parts.push(Math.abs(dt).toFixed(1) + ' s ' + (dt > 0 ? 'longer' : 'shorter'));
+    return parts.length ? id + ' is ' + parts.join(', ') : '';
+  }
+
+
+  // ── WAV Export ──
+
+  const EXPORT_FADE = 0.01;        // seconds — crossfade at each switch in an alternating export
+  const EXPORT_FALLBACK_BAR = 2;   // seconds per "bar" when there's no beat grid (4/4 at 120 BPM)
+
+  // AudioBuffer → 24-bit PCM WAV file bytes; `extra` (e.g. cue chunks) goes after the audio
+  function encodeWav(audioBuf, extra) {
+    const chans = audioBuf.numberOfChannels, len = audioBuf.length, sr = audioBuf.sampleRate;
+    const blockAlign = chans * 3;
+    const dataSize = len * blockAlign;
+    const pad = dataSize & 1;
+    const extraSize = extra ? extra.length : 0;
+    const view = new DataView(new ArrayBuffer(44 + dataSize + pad + extraSize));
+    const tag = (at, str) => { for (let i = 0; i < 4; i++) view.setUint8(at + i, str.charCodeAt(i)); };
+    tag(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize + pad + extraSize, true);
+    tag(8, 'WAVE');
+    tag(12, 'fmt ');
+    view.setUint32(16, 16, true);          // fmt chunk size
+    view.setUint16(20, 1, true);           // integer PCM
+    view.setUint16(22, chans, true);
+    view.setUint32(24, sr, true);
+    view.setUint32(28, sr * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, 24, true);
+    tag(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const data = [];
+    for (let c = 0; c < chans; c++) data.push(audioBuf.getChannelData(c));
+    let at = 44;
+    for (let i = 0; i < len; i++) {
+      for (let c = 0; c < chans; c++) {
+        const x = Math.max(-1, Math.min(1, data[c][i]));
+        const n = Math.round(x < 0 ? x * 0x800000 : x * 0x7fffff);
+        view.setUint8(at, n & 0xff);
+        view.setUint8(at + 1, (n >> 8) & 0xff);
+        view.setUint8(at + 2, (n >> 16) & 0xff);
+        at += 3;
+      }
+    }
+    if (extra) new Uint8Array(view.buffer).set(extra, at + pad);
+    return view.buffer;
+  }
+
+
+  // ── DAW marker formats ──
+  //
+  // Markers travel as { start, end, name, comment } in seconds from the start of the
+  // file / session; end is null for a point marker. Audacity labels and Reaper CSV are
+  // text, the MIDI file carries Marker meta events (ranges as a second "… (end)" marker),
+  // and WAV files carry `cue ` points with `LIST adtl` labels, notes and region lengths.
+
+  const DAW_LOOP_NAME = 'Loop';          // the loop region's name in exported files
+  const DAW_RANGE_END = ' (end)';        // MIDI: suffix on the marker closing a range
+  const MIDI_PPQ = 960;
+  const MIDI_TEMPO = 500000;             // µs per quarter note (120 BPM → 1920 ticks a second)
+
+  // Marker → single-line name: '[B] Chorus: vocal too loud' (comment folded in for formats without one)
+  function dawMarkerName(m, withComment) {
+    let name = m.label || '';
+    if (withComment && m.comment) name = name ? name + ': ' + m.comment : m.comment;
+    if (m.track) name = '[' + m.track + '] ' + name;
+    return name.trim() || 'Marker';
+  }
+
+  // Inverse of dawMarkerName → { label, track, comment }
+  function parseDawMarkerName(name, comment) {
+    const out = { label: String(name || '').trim(), track: null, comment: comment || '' };
+    const tag = /^\[([A-Za-z])\]\s*/.exec(out.label);
+    if (tag) {
+      out.track = tag[1].toUpperCase();
+      out.label = out.label.slice(tag[0].length);
+    }
+    const split = out.label.indexOf(': ');
+    if (!out.comment && split > 0) {
+      out.comment = out.label.slice(split + 2);
+      out.label = out.label.slice(0, split);
+    }
+    if (out.label === 'Marker') out.label = ''; // dawMarkerName's placeholder for unnamed markers
+    return out;
+  }
+
+  // 'h:mm:ss.fff' / 'm:ss.fff' / plain seconds → seconds (NaN for anything else, e.g. bars.beats)
+  function parseClock(str) {
+    const text = String(str).trim();
+    if (/^\d+(\.\d+)?$/.test(text)) return parseFloat(text);
+    const m = /^(?:(\d+):)?(\d+):(\d+(?:\.\d+)?)$/.exec(text);
+    return m ? (+(m[1] || 0)) * 3600 + (+m[2]) * 60 + parseFloat(m[3]) : NaN;
+  }
+
+  function fmtClock(sec) {
+    const h = Math.floor(sec / 3600), m = Math.floor(sec % 3600 / 60);
+    const s = (sec % 60).toFixed(3).padStart(6, '0');
+    return (h ? h + ':' + String(m).padStart(2, '0') : m) + ':' + s;
+  }
+
+  // Audacity: 'start<TAB>end<TAB>label' per line (start = end for a point)
+  function fmtAudacityLabels(items) {
+    return items.map(it => [it.start.toFixed(6), (it.end != null ? it.end : it.start).toFixed(6),
+      dawMarkerName(it, true).replace(/[\t\r\n]+/g, ' ')].join('\t')).join('\n') + '\n';
+  }
+
+  function parseAudacityLabels(text) {
+    const items = [];
+    for (const line of text.split(/\r?\n/)) {
+      if (!line.trim() || line[0] === '\\') continue; // '\' lines hold spectral-selection frequencies
+      const [a, b, ...rest] = line.split('\t');
+      const start = parseFloat(a), end = parseFloat(b);
+      if (!isFinite(start)) continue;
+      items.push({ start, end: isFinite(end) && end > start ? end : null, name: rest.join('\t'), comment: '' });
+    }
+    return items;
+  }
+
+  // Reaper Region/Marker Manager CSV: '#,Name,Start,End,Length' with M1… markers and R1… regions
+  function fmtReaperCsv(items) {
+    const quote = str => /[",\r\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+    let markers = 0, regions = 0;
+    const rows = ['#,Name,Start,End,Length'];
+    for (const it of items) {
+      const name = quote(dawMarkerName(it, true).replace(/[\r\n]+/g, ' '));
+      if (it.end != null) rows.push(['R' + (++regions), name, fmtClock(it.start), fmtClock(it.end), fmtClock(it.end - it.start)].join(','));
+      else rows.push(['M' + (++markers), name, fmtClock(it.start), '', ''].join(','));
+    }
+    return rows.join('\r\n') + '\r\n';
+  }
+
+  function parseReaperCsv(text) {
+    // Quoted fields may hold commas, doubled quotes and line breaks
+    const rows = [[]];
+    let field = '', quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (quoted) {
+        if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+        else if (c === '"') quoted = false;
+        else field += c;
+      } else if (c === '"') quoted = true;
+      else if (c === ',') { rows[rows.length - 1].push(field); field = ''; }
+      else if (c === '\n' || c === '\r') {
+        if (c === '\r' && text[i + 1] === '\n') i++;
+        rows[rows.length - 1].push(field); field = '';
+        rows.push([]);
+      } else field += c;
+    }
+    rows[rows.length - 1].push(field);
+
+    const head = rows.shift().map(h => h.trim().toLowerCase());
+    const col = name => head.indexOf(name);
+    const [iId, iName, iStart, iEnd] = [col('#'), col('name'), col('start'), col('end')];
+    if (iStart < 0) return [];
+    const items = [];
+    for (const row of rows) {
+      const start = parseClock(row[iStart] || '');
+      if (!isFinite(start)) continue;
+      const end = iEnd >= 0 ? parseClock(row[iEnd] || '') : NaN;
+      const isRegion = iId >= 0 ? /^R/i.test(row[iId]) : isFinite(end);
+      items.push({ start, end: isRegion && end > start ? end : null, name: iName >= 0 ? row[iName] || '' : '', comment: '' });
+    }
+    return items;
+  }
+
+  // Standard MIDI file (format 0, 120 BPM) with one Marker meta event per marker / range edge
+  function encodeMidiMarkers(items) {
+    const ticksPerSec = MIDI_PPQ * 1e6 / MIDI_TEMPO;
+    const utf8 = new TextEncoder();
+    const events = [];
+    for (const it of items) {
+      const name = dawMarkerName(it, true);
+      events.push({ tick: Math.round(it.start * ticksPerSec), text: name });
+      if (it.end != null) events.push({ tick: Math.round(it.end * ticksPerSec), text: name + DAW_RANGE_END });
+    }
+    events.sort((a, b) => a.tick - b.tick);
+
+    const bytes = [];
+    const vlq = n => {
+      const out = [n & 0x7f];
+      while ((n >>= 7)) out.unshift((n & 0x7f) | 0x80);
+      bytes.push(...out);
+    };
+    vlq(0); bytes.push(0xff, 0x51, 3, (MIDI_TEMPO >> 16) & 0xff, (MIDI_TEMPO >> 8) & 0xff, MIDI_TEMPO & 0xff);
+    let last = 0;
+    for (const ev of events) {
+      const text = utf8.encode(ev.text);
+      vlq(ev.tick - last);
+      bytes.push(0xff, 0x06);
+      vlq(text.length);
+      bytes.push(...text);
+      last = ev.tick;
+    }
+    vlq(0); bytes.push(0xff, 0x2f, 0);
+
+    const out = new Uint8Array(14 + 8 + bytes.length);
+    const view = new DataView(out.buffer);
+    out.set([0x4d, 0x54, 0x68, 0x64], 0);             // 'MThd'
+    view.setUint32(4, 6);
+    view.setUint16(8, 0);                             // format 0
+    view.setUint16(10, 1);                            // one track
+    view.setUint16(12, MIDI_PPQ);
+    out.set([0x4d, 0x54, 0x72, 0x6b], 14);            // 'MTrk'
+    view.setUint32(18, bytes.length);
+    out.set(bytes, 22);
+    return out.buffer;
+  }
+
+  // Marker (FF 06) and Cue Point (FF 07) events from any SMF, timed through its tempo map
+  function parseMidiMarkers(buffer) {
+    const data = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    const fourcc = at => String.fromCharCode(data[at], data[at + 1], data[at + 2], data[at + 3]);
+    if (data.length < 14 || fourcc(0) !== 'MThd') return [];
+    const division = view.getUint16(12);
+    const smpte = division & 0x8000;
+    const tempos = [];                                 // [{ tick, us }] across all tracks
+    const marks = [];                                  // [{ tick, text }]
+    const utf8 = new TextDecoder();
+    let at = 8 + view.getUint32(4);
+    while (at + 8 <= data.length) {
+      const len = view.getUint32(at + 4);
+      const end = Math.min(data.length, at + 8 + len);
+      if (fourcc(at) === 'MTrk') {
+        let p = at + 8, tick = 0, status = 0;
+        const vlq = () => { let n = 0, b; do { b = data[p++]; n = (n << 7) | (b & 0x7f); } while (b & 0x80 && p < end); return n; };
+        while (p < end) {
+          tick += vlq();
+          let b = data[p];
+          if (b & 0x80) { status = b; p++; } else b = status;   // running status
+          if (b === 0xff) {
+            const type = data[p++];
+            const n = vlq();
+            if (type === 0x51 && n === 3) tempos.push({ tick, us: (data[p] << 16) | (data[p + 1] << 8) | data[p + 2] });
+            if (type === 0x06 || type === 0x07) marks.push({ tick, text: utf8.decode(data.subarray(p, p + n)) });
+            if (type === 0x2f) break;
+            p += n;
+          } else if (b === 0xf0 || b === 0xf7) {
+            p += vlq();
+          } else {
+            p += (b & 0xf0) === 0xc0 || (b & 0xf0) === 0xd0 ? 1 : 2;
+          }
+        }
+      }
+      at += 8 + len;
+    }
+
+    // Ticks → seconds: SMPTE division is fixed-rate, PPQ follows the tempo map
+    let toSec;
+    if (smpte) {
+      const fps = 256 - (division >> 8), perFrame = division & 0xff;
+      toSec = tick => tick / (fps * perFrame);
+    } else {
+      tempos.sort((a, b) => a.tick - b.tick);
+      toSec = tick => {
+        let sec = 0, lastTick = 0, us = MIDI_TEMPO;
+        for (const t of tempos) {
+          if (t.tick >= tick) break;
+          sec += (t.tick - lastTick) * us / 1e6 / division;
+          lastTick = t.tick;
+          us = t.us;
+        }
+        return sec + (tick - lastTick) * us / 1e6 / division;
+      };
+    }
+
+    // Pair '… (end)' markers with the open marker of the same name
+    const items = [];
+    for (const mk of marks.sort((a, b) => a.tick - b.tick)) {
+      const sec = toSec(mk.tick);
+      if (mk.text.endsWith(DAW_RANGE_END)) {
+        const name = mk.text.slice(0, -DAW_RANGE_END.length);
+        const open = items.slice().reverse().find(it => it.name === name && it.end == null && it.start < sec);
+        if (open) { open.end = sec; continue; }
+      }
+      items.push({ start: sec, end: null, name: mk.text, comment: '' });
+    }
+    return items;
+  }
+
+  // `cue ` + `LIST adtl` chunks (labl name, note comment, ltxt region length) for a WAV
+  function wavCueChunks(items, sampleRate) {
+    const utf8 = new TextEncoder();
+    const chunks = [];
+    const chunk = (id, body) => {
+      const out = new Uint8Array(8 + body.length + (body.length & 1));
+      const view = new DataView(out.buffer);
+      for (let i = 0; i < 4; i++) out[i] = id.charCodeAt(i);
+      view.setUint32(4, body.length, true);
+      out.set(body, 8);
+      return out;
+    };
+    const textChunk = (id, cueId, text) => {
+      const str = utf8.encode(text);
+      const body = new Uint8Array(4 + str.length + 1);  // NUL-terminated
+      new DataView(body.buffer).setUint32(0, cueId, true);
+      body.set(str, 4);
+      return chunk(id, body);
+    };
+
+    const cue = new Uint8Array(4 + 24 * items.length);
+    const cv = new DataView(cue.buffer);
+    cv.setUint32(0, items.length, true);
+    const adtl = [];
+    items.forEach((it, i) => {
+      const id = i + 1, pos = Math.round(it.start * sampleRate), at = 4 + 24 * i;
+      cv.setUint32(at, id, true);
+      cv.setUint32(at + 4, pos, true);
+      cue.set([0x64, 0x61, 0x74, 0x61], at + 8);      // 'data'
+      cv.setUint32(at + 20, pos, true);
+      adtl.push(textChunk('labl', id, dawMarkerName(it, false)));
+      if (it.comment) adtl.push(textChunk('note', id, it.comment));
+      if (it.end != null) {
+        const body = new Uint8Array(20);
+        const lv = new DataView(body.buffer);
+        lv.setUint32(0, id, true);
+        lv.setUint32(4, Math.round((it.end - it.start) * sampleRate), true);
+        body.set([0x72, 0x67, 0x6e, 0x20], 8);         // 'rgn '
+        adtl.push(chunk('ltxt', body));
+      }
+    });
+    chunks.push(chunk('cue ', cue));
+    const listBody = new Uint8Array(4 + adtl.reduce((n, c) => n + c.length, 0));
+    listBody.set([0x61, 0x64, 0x74, 0x6c], 0);         // 'adtl'
+    let at = 4;
+    for (const c of adtl) { listBody.set(c, at); at += c.length; }
+    chunks.push(chunk('LIST', listBody));
+
+    const out = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+    at = 0;
+    for (const c of chunks) { out.set(c, at); at += c.length; }
+    return out;
+  }
+
+  function parseWavCues(buffer) {
+    const data = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    const fourcc = at => String.fromCharCode(data[at], data[at + 1], data[at + 2], data[at + 3]);
+    if (data.length < 12 || fourcc(0) !== 'RIFF' || fourcc(8) !== 'WAVE') return [];
+    const utf8 = new TextDecoder();
+    const text = (from, to) => utf8.decode(data.subarray(from, to)).replace(/\0[\s\S]*$/, '');
+    let sampleRate = 0;
+    const cues = new Map();                            // id → { pos, name, comment, length }
+    const cueFor = id => { if (!cues.has(id)) cues.set(id, { pos: null, name: '', comment: '', length: 0 }); return cues.get(id); };
+    const walk = (from, to, inList) => {
+      let at = from;
+      while (at + 8 <= to) {
+        const id = fourcc(at), len = view.getUint32(at + 4, true), body = at + 8;
+        const end = Math.min(to, body + len);
+        if (id === 'fmt ' && !inList) sampleRate = view.getUint32(body + 4, true);
+        else if (id === 'cue ') {
+          const n = view.getUint32(body, true);
+          for (let i = 0; i < n && body + 4 + 24 * (i + 1) <= end; i++) {
+            const p = body + 4 + 24 * i;
+            const position = view.getUint32(p + 4, true), offset = view.getUint32(p + 20, true);
+            cueFor(view.getUint32(p, true)).pos = offset || position;
+          }
+        } else if (id === 'LIST' && fourcc(body) === 'adtl') walk(body + 4, end, true);
+        else if (inList && (id === 'labl' || id === 'note')) cueFor(view.getUint32(body, true))[id === 'labl' ? 'name' : 'comment'] = text(body + 4, end);
+        else if (inList && id === 'ltxt') cueFor(view.getUint32(body, true)).length = view.getUint32(body + 4, true);
+        at = body + len + (len & 1);
+      }
+    };
+    walk(12, data.length, false);
+    if (!sampleRate) return [];
+    const items = [];
+    for (const c of cues.values()) {
+      if (c.pos == null) continue;
+      const start = c.pos / sampleRate;
+      items.push({ start, end: c.length ? start + c.length / sampleRate : null, name: c.name, comment: c.comment });
+    }
+    return items.sort((a, b) => a.start - b.start);
+  }
+
+  // 'wav' | 'midi' | 'reaper' | 'audacity' from magic bytes, then file extension, then the header line
+  function detectMarkerFormat(buffer, fileName) {
+    const head = String.fromCharCode(...new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength)));
+    if (head === 'RIFF') return 'wav';
+    if (head === 'MThd') return 'midi';
+    const ext = (/\.(\w+)$/.exec(fileName || '') || [])[1];
+    if (ext) {
+      const lower = ext.toLowerCase();
+      if (lower === 'csv') return 'reaper';
+      if (lower === 'txt') return 'audacity';
+    }
+    const firstLine = new TextDecoder().decode(buffer.slice(0, 200)).split(/\r?\n/)[0];
+    return /^#,|(^|,)\s*name\s*(,|$)/i.test(firstLine) ? 'reaper' : 'audacity';
+  }
+
+
+  // ── DSP Worker ──
+  //
+  // Alignment, beat detection, track stats and drift analysis run in a dedicated worker
+  // built from the functions above, so long mixes don't freeze the page. Each track's channel data
+  // is copied once into the worker (transferred, not cloned) and referenced by key; jobs
+  // pass `{ track: key }` in place of an AudioBuffer. Where workers are unavailable (or
+  // the worker fails to start) jobs run on the main thread with the same API.
+
+  const DSP_FUNCTIONS = { findAlignmentOffset, alignmentCorrelation, alignmentConfidence, findAlignmentMap, detectBeats, analyzeTrack, detectIssues, computeDiffData, computeSpectralDiff, computeSpectrogram };
+
+  // Minimal AudioBuffer stand-in for the worker side
+  function bufferLike(channels, sampleRate) {
+    return {
+      sampleRate,
+      numberOfChannels: channels.length,
+      length: channels[0].length,
+      duration: channels[0].length / sampleRate,
+      getChannelData: (c) => channels[c],
+    };
+  }
+
+  // Typed-array buffers inside a result, so they can be transferred rather than copied
+  function transferablesOf(value, out) {
+    out = out || [];
+    if (ArrayBuffer.isView(value)) out.push(value.buffer);
+    else if (value && typeof value === 'object') for (const k in value) transferablesOf(value[k], out);
+    return out;
+  }
+
+  function dspWorkerMain() {
+    const tracks = new Map();   // key → buffer-like
+    const fns = { findAlignmentOffset, alignmentCorrelation, alignmentConfidence, findAlignmentMap, detectBeats, analyzeTrack, detectIssues, computeDiffData, computeSpectralDiff, computeSpectrogram };
+    self.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === 'load') {
+        tracks.set(msg.key, bufferLike(msg.channels, msg.sampleRate));
+        return;
+      }
+      if (msg.type === 'drop') {
+        tracks.delete(msg.key);
+        return;
+      }
+      try {
+        const args = msg.args.map(a => (a && a.track !== undefined) ? tracks.get(a.track) : a);
+        const result = fns[msg.fn].apply(null, args);
+        self.postMessage({ id: msg.id, result }, transferablesOf(result));
+      } catch (err) {
+        self.postMessage({ id: msg.id, error: String(err && err.message || err) });
+      }
+    };
+  }
+
+  function dspWorkerSource() {
+    return [
+      'const SPECTRAL_FFT = ' + SPECTRAL_FFT + ';',
+      'const SPECTRAL_BANDS = ' + SPECTRAL_BANDS + ';',
+      'const SPECTRAL_FRAMES_PER_BIN = ' + SPECTRAL_FRAMES_PER_BIN + ';',
+      'const SPECTRO_MIN_HZ = ' + SPECTRO_MIN_HZ + ', SPECTRO_FLOOR_DB = ' + SPECTRO_FLOOR_DB + ';',
+      'const WARP_FRAME = ' + WARP_FRAME + ', WARP_WINDOW = ' + WARP_WINDOW + ', WARP_HOP = ' + WARP_HOP + ';',
+      'const WARP_SEARCH = ' + WARP_SEARCH + ', WARP_JUMP = ' + WARP_JUMP + ', WARP_MIN_CORR = ' + WARP_MIN_CORR + ';',
+      'const BEAT_FPS = ' + BEAT_FPS + ', BEAT_TEMPO_WINDOW = ' + BEAT_TEMPO_WINDOW + ', BEAT_TIGHTNESS = ' + BEAT_TIGHTNESS + ';',
+      'const BEAT_METERS = ' + JSON.stringify(BEAT_METERS) + ';',
+      'const KEY_MAJOR = ' + JSON.stringify(KEY_MAJOR) + ', KEY_MINOR = ' + JSON.stringify(KEY_MINOR) + ';',
+      'const KEY_NAMES_MAJOR = ' + JSON.stringify(KEY_NAMES_MAJOR) + ', KEY_NAMES_MINOR = ' + JSON.stringify(KEY_NAMES_MINOR) + ';',
+      'const KEY_FRAMES = ' + KEY_FRAMES + ', TRUE_PEAK_TAPS = ' + TRUE_PEAK_TAPS + ';',
+      'const CLIP_LEVEL = ' + CLIP_LEVEL + ', CLIP_RUN = ' + CLIP_RUN + ', SILENCE_LEVEL = ' + SILENCE_LEVEL + ';',
+      'const DROPOUT_LEVEL = ' + DROPOUT_LEVEL + ', DROPOUT_MIN = ' + DROPOUT_MIN + ', DC_LIMIT = ' + DC_LIMIT + ', ISSUE_MERGE = ' + ISSUE_MERGE + ';',
+      'const _channelCache = new WeakMap();',
+      'const _rateCache = new WeakMap();',
+      derivedChannel, analysisChannels, matchRate, monoChannel,
+      findAlignmentOffset, alignmentCorrelation, alignmentConfidence, energyEnvelope, findAlignmentMap, onsetEnvelope, tempoLag, detectBeats, computeDiffData, fft, spectralBands, computeSpectralDiff,
+      spectrogramEdges, computeSpectrogram,
+      kWeightingCoeffs, measureLoudness, detectKey, truePeakPhases, measureTruePeak, analyzeTrack, detectIssues,
+      bufferLike, transferablesOf,
+      '(' + dspWorkerMain + ')();',
+    ].map(String).join('\n');
+  }
+
+  function cancelledError() {
+    const err = new Error('Analysis cancelled');
+    err.cancelled = true;
+    return err;
+  }
+
+  class DspWorker {
+    constructor() {
+      this.buffers = new Map();   // key → AudioBuffer (main-thread fallback + re-runs)
+      this.jobs = new Map();      // id → { fn, args, resolve, reject }
+      this.nextId = 1;
+      this.closed = false;
+      this.worker = null;
+      this.url = null;
+      if (typeof Worker === 'undefined' || typeof Blob === 'undefined' || !window.URL) return;
+      try {
+        this.url = URL.createObjectURL(new Blob([dspWorkerSource()], { type: 'text/javascript' }));
+        this.worker = new Worker(this.url);
+        this.worker.onmessage = (e) => this._settle(e.data);
+        this.worker.onerror = (e) => {
+          // Worker couldn't start (e.g. CSP blocks blob: workers) — finish on the main thread
+          e.preventDefault && e.preventDefault();
+          this._dropWorker();
+          for (const [id, job] of this.jobs) this._runLocal(id, job);
+        };
+      } catch (e) {
+        this._dropWorker();
+      }
+    }
+
+    load(key, audioBuf) {
+      this.buffers.set(key, audioBuf);
+      if (!this.worker) return;
+      // Copies — transferring getChannelData() itself would detach the AudioBuffer's storage
+      const channels = [];
+      for (let c = 0; c < audioBuf.numberOfChannels; c++) channels.push(audioBuf.getChannelData(c).slice());
+      this.worker.postMessage({ type: 'load', key, sampleRate: audioBuf.sampleRate, channels }, channels.map(ch => ch.buffer));
+    }
+
+    // run('computeDiffData', { track: 'A' }, { track: 'B' }, …) → Promise of the result
+    run(fn, ...args) {
+      if (this.closed) return Promise.reject(cancelledError());
+      const id = this.nextId++;
+      return new Promise((resolve, reject) => {
+        const job = { fn, args, resolve, reject };
+        this.jobs.set(id, job);
+        if (this.worker) this.worker.postMessage({ type: 'run', id, fn, args });
+        else this._runLocal(id, job);
+      });
+    }
+
+    _runLocal(id, job) {
+      // Yield first so status text paints before the blocking computation
+      setTimeout(() => {
+        if (!this.jobs.has(id)) return;
+        try {
+          const args = job.args.map(a => (a && a.track !== undefined) ? this.buffers.get(a.track) : a);
+          this._settle({ id, result: DSP_FUNCTIONS[job.fn].apply(null, args) });
+        } catch (err) {
+          this._settle({ id, error: String(err && err.message || err) });
+        }
+      }, 0);
+    }
+
+    _settle(msg) {
+      const job = this.jobs.get(msg.id);
+      if (!job) return;
+      this.jobs.delete(msg.id);
+      if (msg.error) job.reject(new Error(msg.error));
+      else job.resolve(msg.result);
+    }
+
+    _dropWorker() {
+      if (this.worker) this.worker.terminate();
+      if (this.url) URL.revokeObjectURL(this.url);
+      this.worker = null;
+      this.url = null;
+    }
+
+    // Cancel everything in flight; pending promises reject with err.cancelled
+    terminate() {
+      this.closed = true;
+      this._dropWorker();
+      for (const job of this.jobs.values()) job.reject(cancelledError());
+      this.jobs.clear();
+      this.buffers.clear();
+    }
+  }
+
+
+  // ══════════════════════════════════════════════════
+  //  CompInstance — one mounted comp console
+  // ══════════════════════════════════════════════════
+
+  class CompInstance {
+    constructor(container, opts) {
+      this.container = container;
+      this.opts = Object.assign({
+        heading: '',             // e.g. 'COMP' — small label above track names
+        title: '',               // e.g. 'LOOK AWAY' — shared track title
+        meta: null,              // null = automatic (from track analysis) | e.g. ['113 BPM', 'A♭ major', '4/4', 'INDIE ROCK'] | false = none
+        trackA: null,
+        trackB: null,
+        tracks: null,            // [{ url, label, color? }, …] — overrides trackA/trackB; up to six (A–F), extras are ignored
+        referenceTrack: null,    // lane id alignment and drift are measured against (default: first)
+        alignment: false,        // true (constant offset) | 'warp' (piecewise time map for edited revisions)
+        offsets: null,           // { [laneId]: { offset, mode: 'auto' | 'manual', confidence, polarity } } — from getState()
+        restrictRegion: false,
+        loopStart: 0,
+        loopEnd: 1,
+        loopCues: [],            // [{ name, start, end }] in seconds — from getState(); recallable under restrictRegion
+        activeTrack: 'A',
+        markers: [],
+        isZoomed: false,
+        zoomStart: 0,
+        zoomEnd: 1,
+        beatGridVisible: false,  // beat lines on the waveforms + bar ruler above them
+        driftMapVisible: false,
+        spectralDriftVisible: false,
+        metersVisible: false,    // live loudness / true peak / correlation panel
+        nullTest: false,         // play reference minus the compared lane instead of the active track
+        loudnessMatch: true,     // trim the louder track so A/B play at matched loudness
+        crossfadeMs: 0,          // equal-power crossfade length on A/B switches (0 = hard cut)
+        switchQuantize: 'off',   // 'off' | 'beat' | 'bar' — defer switches to the next grid line
+        timeFormat: 'clock',     // 'clock' | 'bars' — time readouts as m:ss or bar.beat (once beats are known)
+        blindTest: null,         // { mode: 'blind' | 'abx', trials, tracks? } — run a listening test on load
+        channelView: 'stereo',   // 'stereo' | 'L' | 'R' | 'M' | 'S' — channel the waveforms + drift map analyse
+        monitorMode: 'stereo',   // 'stereo' | 'mono' | 'mid' | 'side' | 'swap' — applied to every lane alike
+        listenFilter: 'off',     // 'off' | 'lows' | 'mids' | 'highs' | 'band' — same filter on every lane
+        listenFreq: 1000,        // band centre in Hz
+        listenQ: 2,
+        spectrogram: 'off',      // 'off' | 'under' | 'replace' — per-lane spectrogram behind or instead of the waveform
+        spectrogramFftSize: 2048,
+        spectrogramScale: 'log', // 'linear' | 'log' | 'mel'
+        lastPlayheadSec: 0,
+        features: FEATURE_DEFAULTS,
+        notes: false,            // feedback notes: '+ Note' button; new markers tie to the audible track
+        noteAuthor: null,        // stamped on markers placed here as `author`
+        onPlay: null,
+        onStop: null,
+        onTrackSwitch: null,
+        onSeek: null,
+        onMarkerPlace: null,
+        onMarkerRemove: null,
+        onMarkerChange: null,
+        onBlindComplete: null,   // (result) => {} — fires when the last blind/ABX trial is answered (null: the blindTest option couldn't start)
+        onMetadata: null,        // (meta) => {} — fires once every track's tempo, key and levels are measured
+      }, opts);
+      this.opts.features = Object.assign({}, FEATURE_DEFAULTS, opts && opts.features);
+
+      // Tracks — one lane per revision (buffer, peaks, playback nodes, alignment, loudness, drift)
+      this.tracks = normalizeTracks(this.opts);
+      const hasLane = (id) => this.tracks.some(l => l.id === id);
+      this.referenceTrack = hasLane(this.opts.referenceTrack) ? this.opts.referenceTrack
+        : (this.tracks[0] ? this.tracks[0].id : 'A');
+
+      // Audio state
+      this.ctx = null;
+      this.startedAt = null;
+      this.startOffset = 0;
+      this.animFrame = null;
+      this.isPlaying = false;
+      this.activeTrack = hasLane(this.opts.activeTrack) ? this.opts.activeTrack
+        : (this.tracks[0] ? this.tracks[0].id : 'A');
+      this.duration = 0;
+      this.lastPlayheadSec = this.opts.lastPlayheadSec || 0;
+
+      // Loop state (0-1 fractions)
+      this.loopStart = this.opts.loopStart;
+      this.loopEnd = this.opts.loopEnd;
+      this.loopStartSec = 0;
+      this.loopEndSec = 0;
+
+      // Single-track mode (no A/B switching)
+      this.isSingleTrack = this.tracks.length < 2;
+
+      // UI state
+      this.draggingHandle = null;
+      this.frozenToastTimer = null;
+      this.beatGrid = null;          // result from detectBeats(): beats, meter, downbeat, tempo map
+      this.timeFormat = this.opts.timeFormat === 'bars' ? 'bars' : 'clock';
+      this.beatGridVisible = !!this.opts.beatGridVisible;
+      this.driftMapVisible = !!this.opts.driftMapVisible;
+      this.metersVisible = !!this.opts.metersVisible;
+      this.meters = null;            // analyser taps + rolling readings, built with the monitor stage
+      this.nullTest = !!this.opts.nullTest;
+      this.spectralDriftVisible = !!this.opts.spectralDriftVisible;
+      this.markers = [];             // array of { id, sec, end, label, color, track, comment, author, el, spanEl }
+      this.markerSeq = 0;            // next marker id
+      this.markerDrag = null;        // { marker, part: 'move' | 'end', grabSec, origSec, origEnd, startX, moved }
+      this.suppressMarkerClick = false; // the click that ends a marker drag shouldn't seek
+      this.loopCues = [];            // array of { id, name, start, end } — seconds, in list (= key) order
+      this.loopCueSeq = 0;
+      this.undoStack = [];           // array of { kind, state, time } — state from _editSnapshot()
+      this.redoStack = [];
+      this.historyMuted = 0;         // >0 while undoing / importing, so the steps aren't recorded again
+      this.editPoints = [];          // array of { sec, lane, delta, el } from warp alignment
+      this.issueFlags = [];          // array of { sec, el } — signal issues on the marker rail
+      this.nudgeUnit = 'ms';         // 'ms' | 'samples' — step + readout unit of the sync nudge
+      this.realignTimer = null;      // debounces drift/confidence re-analysis while nudging
+      this.ghostMarker = null;       // { sec, el } or null
+      this.diffRegionIndex = -1;     // change region last stepped to (index into the ranked list)
+
+      // Loudness match (per-lane LUFS and trim live on the lanes)
+      this.loudnessMatch = this.opts.loudnessMatch !== false;
+      this.loudnessTimer = null;
+
+      // Switch behaviour
+      this.crossfadeMs = Math.max(0, +this.opts.crossfadeMs || 0);
+      this.switchQuantize = this.opts.switchQuantize || 'off';
+      this.switchTimer = null;       // clears the pending-switch indicator once a quantized switch lands
+
+      // Channel view + monitoring matrix
+      this.channelView = CHANNEL_VIEWS.includes(this.opts.channelView) ? this.opts.channelView : 'stereo';
+      this.monitorMode = MONITOR_MODES[this.opts.monitorMode] ? this.opts.monitorMode : 'stereo';
+      this.monitor = null;           // { input, splitter, filters, filterShape, gains } — shared stage between lane gains and the destination
+      this.listenFilter = LISTEN_FILTERS.includes(this.opts.listenFilter) ? this.opts.listenFilter : 'off';
+      const freq = isFinite(this.opts.listenFreq) ? +this.opts.listenFreq : 1000;
+      const q = isFinite(this.opts.listenQ) ? +this.opts.listenQ : 2;
+      this.listenFreq = Math.max(LISTEN_FREQ_RANGE[0], Math.min(LISTEN_FREQ_RANGE[1], freq)); // band centre + Q for 'band'
+      this.listenQ = Math.max(LISTEN_Q_RANGE[0], Math.min(LISTEN_Q_RANGE[1], q));
+
+      // Spectrogram lanes (computed in the worker for the visible window)
+      this.spectrogram = SPECTRO_MODES.includes(this.opts.spectrogram) ? this.opts.spectrogram : 'off';
+      this.spectroFftSize = SPECTRO_FFT_SIZES.includes(+this.opts.spectrogramFftSize) ? +this.opts.spectrogramFftSize : 2048;
+      this.spectroScale = SPECTRO_SCALES[this.opts.spectrogramScale] ? this.opts.spectrogramScale : 'log';
+      this.spectroTimer = null;      // debounces recomputes while zooming / panning / resizing
+      this.spectroToken = 0;         // drops results for a view that has moved on
+
+      // Blind / ABX listening test
+      this.blind = null;             // running test: { mode, ids, total, trial, mapping, slot, answers }
+      this.blindResult = null;       // summary of the last completed test
+
+      // Zoom state
+      this.isZoomed = !!this.opts.isZoomed;
+      this.zoomStart = this.opts.zoomStart || 0;
+      this.zoomEnd = (this.opts.zoomEnd != null) ? this.opts.zoomEnd : 1;
+      this.zoomToken = 0;            // bumps per zoom so late worker results for an old range are dropped
+      this.zoomTimer = null;         // debounces zoomed drift while wheel-zooming / panning
+      this.minimapDrag = null;       // { grab } while dragging the minimap viewport (grab = offset into it)
+
+      // Scrub state
+      this.isScrubbing = false;
+      this.scrubAudioTimer = null;
       this.scrubSource = null;
       this.scrubGain = null;
 
-      // DOM references (set during render)
-      this.els = {};
+      // Analysis worker (alignment, beats, drift) — terminated on destroy
+      this.dsp = new DspWorker();
+      this.destroyed = false;
+
+      // DOM references (set during render)
+      this.els = {};
+
+      // Bound handlers (for cleanup)
+      this._onKeydown = this._handleKeydown.bind(this);
+      this._onResize = this._handleResize.bind(this);
+      this._onHandleDrag = this._handleDrag.bind(this);
+      this._onHandleDragEnd = this._handleDragEnd.bind(this);
+      this._onScrubMove = this._handleScrubMove.bind(this);
+      this._onScrubEnd = this._handleScrubEnd.bind(this);
+      this._onWheel = this._handleWheel.bind(this);
+      this._onMinimapDrag = this._handleMinimapDrag.bind(this);
+      this._onMinimapDragEnd = this._handleMinimapDragEnd.bind(this);
+      this._onMarkerDrag = this._handleMarkerDrag.bind(this);
+      this._onMarkerDragEnd = this._handleMarkerDragEnd.bind(this);
+
+      this._render();
+      this._bindEvents();
+      this._loadAudio();
+    }
+
+    // ── Lanes ──
+
+    _lane(id) {
+      return this.tracks.find(l => l.id === id) || null;
+    }
+
+    _loadedLanes() {
+      return this.tracks.filter(l => l.buffer);
+    }
+
+    // Lane whose drift the given lane displays: non-reference lanes compare against the
+    // reference; the reference lane mirrors whichever other lane is active (or the first one)
+    _diffLaneFor(lane) {
+      if (lane.id !== this.referenceTrack) return lane;
+      const active = this._lane(this.activeTrack);
+      if (active && active !== lane && active.diffData) return active;
+      return this.tracks.find(l => l !== lane && l.diffData) || null;
+    }
+
+    _hasDiffData() {
+      return this.tracks.some(l => l.diffData);
+    }
+
+    _trackColor(id) {
+      if (this.blind) return BLIND_COLOR;
+      const lane = this._lane(id);
+      const el = lane && lane.els.container;
+      const value = el ? getComputedStyle(el).getPropertyValue('--comp-lane').trim() : '';
+      return value || TRACK_COLORS[id] || TRACK_COLORS.A;
+    }
+
+    // Recompute per-lane head shifts from alignment offsets, plus the common aligned duration
+    _updateShifts() {
+      const loaded = this._loadedLanes();
+      const minOffset = Math.min(0, ...loaded.map(l => l.offset));
+      // Snap to the lane's own sample grid so playback starts on an exact sample
+      const snap = (sec, sr) => Math.round(sec * sr) / sr;
+      for (const lane of this.tracks) lane.shift = lane.buffer ? snap(lane.offset - minOffset, lane.buffer.sampleRate) : 0;
+      this.duration = loaded.length ? Math.min(...loaded.map(l => l.buffer.duration - l.shift)) : 0;
+    }
+
+    _positionPlayheads(viewFrac) {
+      for (const lane of this.tracks) {
+        if (lane.els.playhead) lane.els.playhead.style.left = (viewFrac * 100) + '%';
+      }
+    }
+
+    // ── Audio Engine ──
+
+    _createContext() {
+      if (!this.ctx) this.ctx = new (window.AudioContext || window.webkitAudioContext)();
+    }
+
+    async _ensureContext() {
+      this._createContext();
+      if (this.ctx.state === 'suspended') await this.ctx.resume();
+    }
+
+    _setLoadingProgress(pct) {
+      if (!this.els.loadingFill) return;
+      this.els.loadingBar.classList.add('visible');
+      this.els.loadingFill.style.width = Math.min(100, Math.round(pct)) + '%';
+    }
+
+    _setLoadingStatus(text) {
+      if (!this.els.loadingText) return;
+      this.els.loadingText.innerHTML = text + '<span class="dot-anim"></span>';
+    }
+
+    async _loadAudio() {
+      this._createContext();
+
+      const trackCount = this.tracks.length;
+      let tracksLoaded = 0;
+
+      const decode = (arrayBuf, label) => {
+        return new Promise((resolve, reject) => {
+          this.ctx.decodeAudioData(arrayBuf, resolve, (err) => {
+            reject(new Error('decodeAudioData failed for ' + label + ': ' + err));
+          });
+        });
+      };
+
+      const load = async (url, label) => {
+        if (!url || url === '#') return null;
+
+        // 1. Check in-memory cache (instant — same page session)
+        const mem = _memCache.get(url);
+        if (mem) {
+          tracksLoaded++;
+          this._setLoadingProgress((tracksLoaded / trackCount) * 70);
+          this._setLoadingStatus(label + ' (cached)');
+          return mem.buffer;
+        }
+
+        // 2. Check IndexedDB cache (skip network, just re-decode)
+        const idb = await _idbGet(url);
+        if (idb && idb.rawBytes) {
+          this._setLoadingStatus('Decoding ' + label + ' (cached)');
+          const format = sniffAudioFormat(idb.rawBytes);
+          const buffer = await decode(idb.rawBytes, label);
+          _memCache.set(url, { buffer, duration: buffer.duration, sampleRate: buffer.sampleRate, channels: buffer.numberOfChannels, format });
+          tracksLoaded++;
+          this._setLoadingProgress((tracksLoaded / trackCount) * 70);
+          return buffer;
+        }
+
+        // 3. Fetch from network with progress
+        const res = await fetch(url);
+        if (!res.ok) throw new Error('HTTP ' + res.status + ' fetching ' + label);
+        const total = parseInt(res.headers.get('content-length') || '0', 10);
+        let loaded = 0;
+
+        let arrayBuf;
+        if (total && res.body) {
+          const reader = res.body.getReader();
+          const chunks = [];
+          while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            loaded += value.byteLength;
+            const trackPct = loaded / total;
+            const basePct = (tracksLoaded / trackCount) * 70;
+            const slicePct = (trackPct / trackCount) * 70;
+            this._setLoadingProgress(basePct + slicePct);
+            const mb = (loaded / (1024 * 1024)).toFixed(1);
+            const totalMb = (total / (1024 * 1024)).toFixed(1);
+            this._setLoadingStatus('Downloading ' + label + ' (' + mb + ' / ' + totalMb + ' MB)');
+          }
+          const combined = new Uint8Array(loaded);
+          let offset = 0;
+          for (const chunk of chunks) { combined.set(chunk, offset); offset += chunk.byteLength; }
+          arrayBuf = combined.buffer;
+        } else {
+          this._setLoadingStatus('Downloading ' + label);
+          arrayBuf = await res.arrayBuffer();
+        }
+
+        if (!arrayBuf.byteLength) throw new Error('Empty response for ' + label);
+        tracksLoaded++;
+        this._setLoadingProgress((tracksLoaded / trackCount) * 70);
+        this._setLoadingStatus('Decoding ' + label);
+        // Copy raw bytes before decode (decodeAudioData may neuter the ArrayBuffer)
+        const rawCopy = arrayBuf.slice(0);
+        const format = sniffAudioFormat(rawCopy);
+        const buffer = await decode(arrayBuf, label);
+
+        // Store in both caches
+        _memCache.set(url, { buffer, duration: buffer.duration, sampleRate: buffer.sampleRate, channels: buffer.numberOfChannels, format });
+        _idbPut(url, { rawBytes: rawCopy, duration: buffer.duration, sampleRate: buffer.sampleRate, channels: buffer.numberOfChannels });
+
+        return buffer;
+      };
+
+      try {
+        for (const lane of this.tracks) {
+          lane.buffer = await load(lane.url, lane.label || lane.id)
+            .catch(e => { console.error('Track ' + lane.id + ' load failed:', e); return null; });
+          const cached = lane.buffer && _memCache.get(lane.url);
+          lane.format = (cached && cached.format) || null;
+        }
+        if (this.destroyed) return;
+
+        this._setLoadingProgress(70);
+
+        const loaded = this._loadedLanes();
+        if (!loaded.length) {
+          this.els.loadingText.textContent = 'Could not load audio — check console';
+          return;
+        }
+
+        for (const lane of loaded) this.dsp.load(lane.id, lane.buffer);
+
+        // Align every lane against the reference track
+        const ref = this._lane(this.referenceTrack);
+        const others = loaded.filter(l => l !== ref);
+        for (const lane of this.tracks) lane.offset = 0;
+        if (this.opts.alignment && ref && ref.buffer && loaded.length > 1) {
+          for (const [i, lane] of others.entries()) {
+            this._setLoadingProgress(70 + 10 * i / others.length);
+            this._setLoadingStatus('Aligning ' + lane.id + ' to ' + ref.id);
+            if (this.opts.alignment === 'warp') {
+              await this._warpLane(lane, ref);
+            } else {
+              lane.offset = await this.dsp.run('findAlignmentOffset', { track: ref.id }, { track: lane.id });
+            }
+            lane.autoOffset = lane.offset;
+          }
+        }
+        // Offsets nudged by hand (restored from state) override detection
+        const saved = this.opts.offsets || {};
+        for (const lane of others) {
+          const s = saved[lane.id];
+          if (s && s.mode === 'manual' && isFinite(s.offset)) {
+            lane.offset = +s.offset;
+            lane.offsetMode = 'manual';
+          }
+          if (s && s.polarity === -1) lane.polarity = -1;
+        }
+        this._updateShifts();
+        this._renderEditPoints();
+        this._updateFormatNote();
+        this._updateNudgeUI();
+        this._updatePolarityUI();
+
+        this._setLoadingProgress(80);
+        this._setLoadingStatus('Rendering waveforms');
+        await new Promise(r => setTimeout(r, 0));
+        for (const lane of loaded) {
+          lane.pyramid = buildPeakPyramid(lane.buffer, this.channelView);
+        }
+
+        this.loopStartSec = this.loopStart * this.duration;
+        this.loopEndSec = this.loopEnd * this.duration;
+
+        if (loaded.length > 1) {
+          this._setLoadingStatus('Measuring loudness');
+          await new Promise(r => setTimeout(r, 0));
+          for (const lane of loaded) {
+            lane.loudness = measureLoudness(lane.buffer, lane.shift, lane.shift + this.duration);
+          }
+          this._measureLoopLoudness();
+        }
+
+        if (this.opts.features.driftMap && ref && ref.buffer && loaded.length > 1) {
+          for (const [i, lane] of others.entries()) {
+            this._setLoadingProgress(85 + 15 * i / others.length);
+            this._setLoadingStatus('Computing drift map' + (others.length > 1 ? ' (' + lane.id + ')' : ''));
+            await this._analyzeDrift(lane, ref);
+          }
+        }
+        if (others.length && ref && ref.buffer) this._measureConfidence();
+
+        // Beat grid + track metadata aren't needed to show the console — finish in the background
+        this._analyzeTracks(loaded, (ref && ref.buffer) ? ref : loaded[0]);
+
+        this._setLoadingProgress(100);
+        this.els.time.textContent = this._fmtTime(0) + ' / ' + this._fmtTime(this.duration);
+        this._updateLoopRegion();
+        this.els.loading.classList.add('hidden');
+        this._applyRestoredState();
+        this._scheduleSpectrograms(0);
+
+      } catch (e) {
+        if (e.cancelled) return; // destroyed mid-analysis
+        console.error('Audio load error:', e);
+        this.els.loadingText.textContent = 'Audio unavailable';
+      }
+    }
+
+    // Alignment confidence per lane, in the background (shown in the nudge tooltip).
+    // A strongly negative correlation means the lane is polarity-inverted vs the reference.
+    _measureConfidence() {
+      const ref = this._lane(this.referenceTrack);
+      const lanes = this._loadedLanes().filter(l => l !== ref);
+      return Promise.all(lanes.map(lane =>
+        this.dsp.run('alignmentCorrelation', { track: ref.id }, { track: lane.id }, lane.offset)
+          .then(c => {
+            lane.confidence = Math.abs(c);
+            lane.inverted = c < -POLARITY_THRESHOLD;
+          })
+      )).then(() => { this._updateNudgeUI(); this._updatePolarityUI(); })
+        .catch(e => { if (!e.cancelled) console.error('Alignment confidence failed:', e); });
+    }
+
+    // Tempo, meter, key and levels per lane. The grid lane goes first so the beat grid
+    // shows as early as possible; warped lanes are measured as conformed (length from the file).
+    async _analyzeTracks(loaded, gridLane) {
+      try {
+        for (const lane of [gridLane, ...loaded.filter(l => l !== gridLane)]) {
+          const grid = await this.dsp.run('detectBeats', { track: lane.id });
+          if (lane === gridLane && this.opts.features.beatGrid) {
+            this.beatGrid = grid;
+            this._updateRuler();
+            this._updateTimeReadouts();
+            if (this.beatGridVisible) this._redrawWaveforms();
+          }
+          const stats = await this.dsp.run('analyzeTrack', { track: lane.id });
+          const cached = _memCache.get(lane.url);
+          lane.meta = trackMeta(grid, stats, cached ? cached.duration : lane.buffer.duration);
+        }
+      } catch (e) {
+        if (!e.cancelled) console.error('Track analysis failed:', e);
+        return;
+      }
+      this._renderMeta();
+      if (this.opts.onMetadata) this.opts.onMetadata(this.getMetadata());
+      if (this.opts.features.issues) this._detectIssues(loaded);
+    }
+
+    _metaChips(items) {
+      return items.map(s => `<span>${s}</span>`).join('<span class="comp-meta-dot">·</span>');
+    }
+
+    _renderMeta() {
+      const ref = this._lane(this.referenceTrack);
+      if (!ref || !ref.meta) return;
+      if (this.opts.meta == null && this.els.meta) this.els.meta.innerHTML = this._metaChips(metaLabels(ref.meta));
+      if (this.els.metaDiff) {
+        this.els.metaDiff.textContent = this._loadedLanes()
+          .filter(l => l !== ref && l.meta)
+          .map(l => metaDiffText(l.id, l.meta, ref.meta))
+          .filter(Boolean)
+          .join(' · ');
+      }
+    }
+
+    // Piecewise alignment: a lane with edits or a tempo change is re-timed onto the
+    // reference timeline, so playback, seeking, drift and waveforms all follow the map
+    async _warpLane(lane, ref) {
+      const map = await this.dsp.run('findAlignmentMap', { track: ref.id }, { track: lane.id });
+      const [first] = map.segments;
+      if (map.segments.length === 1 && first.slope === 0) {
+        lane.offset = first.offset; // no edits — a plain offset plays the original buffer
+        return;
+      }
+      lane.warp = map.segments;
+      lane.edits = map.edits;
+      lane.buffer = conformBuffer(this.ctx, lane.buffer, map.segments, ref.buffer.duration);
+      lane.offset = 0;
+      this.dsp.load(lane.id, lane.buffer);
+    }
+
+    // Full-track broadband + spectral drift of one lane vs the reference (in the worker)
+    async _analyzeDrift(lane, ref) {
+      const view = this.channelView;
+      const args = [{ track: ref.id }, { track: lane.id }, PEAK_BINS, this.duration, ref.shift, lane.shift, 0, 0, view, lane.polarity];
+      const [result, spectral] = await Promise.all([
+        this.dsp.run('computeDiffData', ...args),
+        this.dsp.run('computeSpectralDiff', ...args),
+      ]);
+      if (view !== this.channelView) return; // view changed while this was running
+      if (result) {
+        lane.diffData = result.data;
+        lane.diffMax = result.max;
+        lane.diffRegions = findDiffRegions(result.data, result.max, this.duration);
+      }
+      lane.spectral = spectral;
+      this._renderDiffList();
+    }
+
+    play(offset) {
+      // Resume synchronously in the user-gesture call stack (Safari requirement)
+      this._createContext();
+      if (this.ctx.state === 'suspended') this.ctx.resume();
+
+      this._ensureContext().then(() => {
+        this.stop();
+
+        const out = this._monitorInput();
+        for (const lane of this.tracks) {
+          lane.gain = this.ctx.createGain();
+          lane.gain.connect(out);
+        }
+        this._applyActiveTrack();
+
+        const startAt = (offset !== undefined) ? offset : this.loopStartSec;
+
+        for (const lane of this._loadedLanes()) {
+          lane.source = this.ctx.createBufferSource();
+          lane.source.buffer = lane.buffer;
+          lane.source.loop = true;
+          lane.source.loopStart = this.loopStartSec + lane.shift;
+          lane.source.loopEnd = Math.min(lane.buffer.duration, this.loopEndSec + lane.shift);
+          lane.source.connect(lane.gain);
+          lane.source.start(0, startAt + lane.shift);
+        }
+
+        this.startOffset = startAt;
+        this.startedAt = this.ctx.currentTime;
+        this.isPlaying = true;
+        this._resetMeterReadings();
+
+        this.els.tracks.classList.add('playing');
+        this.els.tracks.classList.remove('has-position');
+        this._removeGhostMarker();
+
+        this._updatePlayBtn(true);
+        this._updatePlayhead();
+        if (this.opts.onPlay) this.opts.onPlay();
+      });
+    }
+
+    stop() {
+      const wasPlaying = this.isPlaying;
+
+      for (const lane of this.tracks) {
+        if (lane.source) { try { lane.source.stop(); } catch(e){} lane.source = null; }
+        if (lane.gain) { lane.gain.disconnect(); lane.gain = null; }
+        if (lane.els.abBtn) lane.els.abBtn.classList.remove('pending');
+      }
+      if (this.animFrame) { cancelAnimationFrame(this.animFrame); this.animFrame = null; }
+      clearTimeout(this.switchTimer);
+
+      // Persist playhead position
+      if (wasPlaying) {
+        this.lastPlayheadSec = this._getPlayheadSec();
+      }
+
+      this.isPlaying = false;
+      this.els.tracks.classList.remove('playing');
+
+      // Show paused playhead if we have a position
+      if (this.lastPlayheadSec > 0) {
+        this.els.tracks.classList.add('has-position');
+        const viewFrac = this._toViewFrac(this.lastPlayheadSec / this.duration);
+        this._positionPlayheads(viewFrac);
+      }
+
+      // Show ghost marker at stop position
+      if (wasPlaying && this.opts.features.markers && this.lastPlayheadSec > 0) {
+        this._showGhostMarker(this.lastPlayheadSec);
+      }
+
+      if (wasPlaying) {
+        this._updatePlayBtn(false);
+        if (this.opts.onStop) this.opts.onStop();
+      }
+    }
+
+    _applyActiveTrack() {
+      // Cancel any scheduled crossfade first — a plain .value write is ignored while automation is pending
+      const set = (gain, value) => {
+        if (!gain) return;
+        gain.gain.cancelScheduledValues(0);
+        gain.gain.setValueAtTime(value, this.ctx.currentTime);
+      };
+      for (const lane of this.tracks) {
+        set(lane.gain, this._laneGain(lane));
+      }
+    }
+
+    // ── Monitoring ──
+    //
+    // Every lane feeds one shared input, so a monitoring mode applies identically
+    // to whichever track is audible. The input upmixes mono files to L = R.
+
+    _monitorInput() {
+      if (!this.monitor) {
+        const ctx = this.ctx;
+        const input = ctx.createGain();
+        input.channelCount = 2;
+        input.channelCountMode = 'explicit';
+        input.channelInterpretation = 'speakers';
+        const splitter = ctx.createChannelSplitter(2);
+        const merger = ctx.createChannelMerger(2);
+        // Routes in MONITOR_MODES order: L→L, L→R, R→L, R→R
+        const matrix = MONITOR_MODES[this.monitorMode];
+        const gains = [[0, 0], [0, 1], [1, 0], [1, 1]].map(([from, to], i) => {
+          const g = ctx.createGain();
+          g.gain.value = matrix[i];
+          splitter.connect(g, from);
+          g.connect(merger, 0, to);
+          return g;
+        });
+        merger.connect(ctx.destination);
+        this.monitor = { input, splitter, filters: [], filterShape: '', gains };
+        this._applyListenFilter();
+        this._buildMeters(merger);
+      }
+      return this.monitor.input;
+    }
+
+    _applyMonitorMode() {
+      if (!this.monitor) return;
+      const matrix = MONITOR_MODES[this.monitorMode];
+      const now = this.ctx.currentTime;
+      this.monitor.gains.forEach((g, i) => {
+        g.gain.cancelScheduledValues(0);
+        g.gain.setTargetAtTime(matrix[i], now, 0.005); // short glide avoids clicks
+      });
+    }
+
+    setMonitorMode(mode) {
+      if (!MONITOR_MODES[mode]) return;
+      this.monitorMode = mode;
+      this._applyMonitorMode();
+      this._updateChannelUI();
+    }
+
+    // ── Listening Filters ──
+    //
+    // The filter sits between the shared input and the monitoring matrix, so A and B
+    // are always heard through the same band. Sweeping the band glides the existing
+    // nodes; changing mode rewires the chain.
+
+    _applyListenFilter() {
+      if (!this.monitor) return;
+      const { input, splitter } = this.monitor;
+      const stages = listenFilterStages(this.listenFilter, this.listenFreq, this.listenQ);
+      const shape = stages.map(st => st[0]).join();
+      if (shape === this.monitor.filterShape) {
+        const now = this.ctx.currentTime;
+        this.monitor.filters.forEach((node, i) => {
+          node.frequency.setTargetAtTime(stages[i][1], now, 0.01);
+          node.Q.setTargetAtTime(stages[i][2], now, 0.01);
+        });
+        return;
+      }
+      input.disconnect();
+      for (const node of this.monitor.filters) node.disconnect();
+      this.monitor.filters = stages.map(([type, frequency, Q]) => {
+        const node = this.ctx.createBiquadFilter();
+        node.type = type;
+        node.frequency.value = frequency;
+        node.Q.value = Q;
+        return node;
+      });
+      this.monitor.filterShape = shape;
+      let prev = input;
+      for (const node of this.monitor.filters) { prev.connect(node); prev = node; }
+      prev.connect(splitter);
+    }
+
+    setListenFilter(mode) {
+      if (!LISTEN_FILTERS.includes(mode)) return;
+      this.listenFilter = mode;
+      this._applyListenFilter();
+      this._updateListenFilterUI();
+    }
 
-      // Bound handlers (for cleanup)
-      this._onKeydown = this._handleKeydown.bind(this);
-      this._onResize = this._handleResize.bind(this);
-      this._onHandleDrag = this._handleDrag.bind(this);
-      this._onHandleDragEnd = this._handleDragEnd.bind(this);
-      this._onScrubMove = this._handleScrubMove.bind(this);
-      this._onScrubEnd = this._handleScrubEnd.bind(this);
+    // Band centre (Hz) and Q for the 'band' filter; either may be omitted
+    setListenBand(freq, q) {
+      if (freq != null && isFinite(freq)) {
+        this.listenFreq = Math.max(LISTEN_FREQ_RANGE[0], Math.min(LISTEN_FREQ_RANGE[1], +freq));
+      }
+      if (q != null && isFinite(q)) this.listenQ = Math.max(LISTEN_Q_RANGE[0], Math.min(LISTEN_Q_RANGE[1], +q));
+      this._applyListenFilter();
+      this._updateListenFilterUI();
+    }
+
+    _updateListenFilterUI() {
+      const btn = this.els.filterBtn;
+      if (!btn) return;
+      btn.textContent = LISTEN_FILTER_LABELS[this.listenFilter];
+      btn.classList.toggle('active', this.listenFilter !== 'off');
+      const band = this.listenFilter === 'band';
+      this.els.filterBand.style.display = band ? '' : 'none';
+      if (!band) return;
+      const [lo, hi] = LISTEN_FREQ_RANGE;
+      this.els.filterFreq.value = Math.round(1000 * Math.log(this.listenFreq / lo) / Math.log(hi / lo));
+      this.els.filterQ.value = this.listenQ;
+      const f = this.listenFreq;
+      this.els.filterReadout.textContent = (f >= 1000 ? (f / 1000).toFixed(f >= 10000 ? 0 : 1) + ' kHz' : Math.round(f) + ' Hz')
+        + ' · Q ' + this.listenQ.toFixed(1);
+    }
+
+    // ── Channel View ──
+
+    setChannelView(view) {
+      if (!CHANNEL_VIEWS.includes(view)) return;
+      this.channelView = view;
+      this._updateChannelUI();
+      const ref = this._lane(this.referenceTrack);
+      for (const lane of this._loadedLanes()) {
+        lane.pyramid = buildPeakPyramid(lane.buffer, view);
+      }
+      this._redrawWaveforms();
+      this._scheduleSpectrograms(0);
+
+      // Drift for the new view comes back from the worker; zoomed data follows it
+      const drifting = this._loadedLanes().filter(l => l.diffData && ref && ref.buffer);
+      Promise.all(drifting.map(lane => this._analyzeDrift(lane, ref))).then(() => {
+        if (view !== this.channelView) return;
+        if (this.isZoomed) this._computeZoomedData();
+        else this._redrawWaveforms();
+      }).catch(e => { if (!e.cancelled) console.error('Drift analysis failed:', e); });
+    }
+
+    _updateChannelUI() {
+      if (this.els.viewBtn) {
+        this.els.viewBtn.textContent = CHANNEL_VIEW_LABELS[this.channelView];
+        this.els.viewBtn.classList.toggle('active', this.channelView !== 'stereo');
+      }
+      if (this.els.monitorBtn) {
+        this.els.monitorBtn.textContent = MONITOR_LABELS[this.monitorMode];
+        this.els.monitorBtn.classList.toggle('active', this.monitorMode !== 'stereo');
+      }
+    }
+
+    // ── Spectrogram ──
+    //
+    // Each lane's spectrogram covers the visible window at one column per two device pixels.
+    // While a recompute is pending the last image is stretched onto the new view, so zoom
+    // and pan stay responsive.
+
+    setSpectrogram(mode) {
+      if (!SPECTRO_MODES.includes(mode)) return;
+      this.spectrogram = mode;
+      this.els.tracks.classList.toggle('spectro-under', mode === 'under');
+      this.els.tracks.classList.toggle('spectro-replace', mode === 'replace');
+      this._updateSpectrogramUI();
+      if (mode === 'off') {
+        for (const lane of this.tracks) lane.spectrogram = null;
+        return;
+      }
+      this._scheduleSpectrograms(0);
+    }
+
+    setSpectrogramFftSize(size) {
+      if (!SPECTRO_FFT_SIZES.includes(+size)) return;
+      this.spectroFftSize = +size;
+      this._updateSpectrogramUI();
+      this._scheduleSpectrograms(0);
+    }
+
+    setSpectrogramScale(scale) {
+      if (!SPECTRO_SCALES[scale]) return;
+      this.spectroScale = scale;
+      this._updateSpectrogramUI();
+      this._scheduleSpectrograms(0);
+    }
+
+    _updateSpectrogramUI() {
+      const on = this.spectrogram !== 'off';
+      if (this.els.spectroBtn) {
+        this.els.spectroBtn.classList.toggle('active', on);
+        this.els.spectroBtn.textContent = this.spectrogram === 'replace' ? 'Spectrum only' : 'Spectrum';
+      }
+      if (this.els.spectroFftBtn) {
+        this.els.spectroFftBtn.style.display = on ? '' : 'none';
+        this.els.spectroFftBtn.textContent = 'FFT ' + this.spectroFftSize;
+      }
+      if (this.els.spectroScaleBtn) {
+        this.els.spectroScaleBtn.style.display = on ? '' : 'none';
+        this.els.spectroScaleBtn.textContent = SPECTRO_SCALES[this.spectroScale];
+      }
+    }
+
+    _scheduleSpectrograms(delay) {
+      if (this.spectrogram === 'off' || !this.duration) return;
+      clearTimeout(this.spectroTimer);
+      this.spectroTimer = setTimeout(() => this._computeSpectrograms(), delay == null ? 150 : delay);
+    }
+
+    _computeSpectrograms() {
+      const token = ++this.spectroToken;
+      const start = this.isZoomed ? this.zoomStart : 0;
+      const end = this.isZoomed ? this.zoomEnd : 1;
+      const dpr = window.devicePixelRatio || 1;
+      for (const lane of this._loadedLanes()) {
+        const rect = lane.els.spectro.getBoundingClientRect();
+        const columns = Math.max(1, Math.min(2048, Math.floor(rect.width * dpr / 2)));
+        const rows = Math.max(1, Math.min(256, Math.floor(rect.height * dpr)));
+        this.dsp.run('computeSpectrogram', { track: lane.id },
+          start * this.duration + lane.shift, end * this.duration + lane.shift,
+          columns, rows, this.spectroFftSize, this.spectroScale, this.channelView,
+        ).then(result => {
+          if (token !== this.spectroToken || !result) return; // view or settings moved on
+          lane.spectrogram = { image: this._spectrogramImage(result, lane), start, end };
+          this._drawSpectrogram(lane);
+        }).catch(e => { if (!e.cancelled) console.error('Spectrogram failed:', e); });
+      }
+    }
+
+    // Levels → an offscreen canvas in the lane's color, brightening toward white at the top
+    _spectrogramImage(result, lane) {
+      const { data, columns, rows } = result;
+      const image = document.createElement('canvas');
+      image.width = columns;
+      image.height = rows;
+      const ctx = image.getContext('2d');
+      const pixels = ctx.createImageData(columns, rows);
+      const { r, g, b } = parseColor(this._trackColor(lane.id));
+      const range = -SPECTRO_FLOOR_DB - 20; // levels from the floor up to −20 dBFS fill the ramp
+      for (let i = 0; i < data.length; i++) {
+        const t = Math.max(0, Math.min(1, (data[i] - SPECTRO_FLOOR_DB) / range));
+        const hot = t * t;
+        pixels.data[i * 4] = r + (255 - r) * hot;
+        pixels.data[i * 4 + 1] = g + (255 - g) * hot;
+        pixels.data[i * 4 + 2] = b + (255 - b) * hot;
+        pixels.data[i * 4 + 3] = 255 * Math.pow(t, 1.5);
+      }
+      ctx.putImageData(pixels, 0, 0);
+      return image;
+    }
+
+    _drawSpectrogram(lane) {
+      const canvas = lane.els.spectro;
+      if (!canvas) return;
+      const ctx = canvas.getContext('2d');
+      const dpr = window.devicePixelRatio || 1;
+      const rect = canvas.getBoundingClientRect();
+      canvas.width = rect.width * dpr;
+      canvas.height = rect.height * dpr;
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      const spec = lane.spectrogram;
+      if (!spec || this.spectrogram === 'off') return;
+
+      // Map the image's window onto the current view (only the overlap draws)
+      const viewStart = this.isZoomed ? this.zoomStart : 0;
+      const viewEnd = this.isZoomed ? this.zoomEnd : 1;
+      const a = Math.max(viewStart, spec.start), b = Math.min(viewEnd, spec.end);
+      if (b <= a) return;
+      const cols = spec.image.width, span = spec.end - spec.start, view = viewEnd - viewStart;
+      ctx.drawImage(spec.image,
+        (a - spec.start) / span * cols, 0, (b - a) / span * cols, spec.image.height,
+        (a - viewStart) / view * canvas.width, 0, (b - a) / view * canvas.width, canvas.height);
+    }
+
+    // ── Switch Scheduling ──
+
+    // Seconds from now until the next allowed switch point (0 = switch immediately)
+    _timeToNextSwitchPoint() {
+      if (this.switchQuantize === 'off' || !this.beatGrid || !this.beatGrid.beats.length) return 0;
+      const points = this.beatGrid.beats.filter(t =>
+        t >= this.loopStartSec && t < this.loopEndSec &&
+        (this.switchQuantize !== 'bar' || this._isDownbeat(t)));
+      if (!points.length) return 0;
+
+      const sec = this._getPlayheadSec();
+      const lookahead = 0.01; // never schedule into the past
+      const next = points.find(t => t > sec + lookahead);
+      if (next !== undefined) return next - sec;
+      // Next point is after the loop wraps
+      return (this.loopEndSec - sec) + (points[0] - this.loopStartSec);
+    }
+
+    _scheduleSwitch() {
+      const now = this.ctx.currentTime;
+      const delay = this._timeToNextSwitchPoint();
+      const when = now + delay;
+      const fade = this.crossfadeMs / 1000;
+
+      for (const lane of this.tracks) {
+        if (!lane.gain) continue;
+        const param = lane.gain.gain;
+        const from = param.value;
+        const to = this._laneGain(lane);
+        // Hold wherever a fade still in flight has got to — its curve started before `now`,
+        // so cancelScheduledValues(now) alone would leave it and the set below would land inside it
+        if (param.cancelAndHoldAtTime) {
+          param.cancelAndHoldAtTime(now);
+        } else {
+          param.cancelScheduledValues(0);
+          param.setValueAtTime(from, now);
+        }
+        if (fade > 0) {
+          // Equal-power: incoming lanes rise on sin, outgoing fall on cos, from the held gain
+          const steps = 64;
+          const curve = new Float32Array(steps);
+          for (let i = 0; i < steps; i++) {
+            const x = (i / (steps - 1)) * Math.PI / 2;
+            curve[i] = to >= from ? from + (to - from) * Math.sin(x) : to + (from - to) * Math.cos(x);
+          }
+          param.setValueCurveAtTime(curve, when, fade);
+        } else {
+          param.setValueAtTime(to, when);
+        }
+      }
+
+      // Per-track meter extremes wait until only the new track is in the windows
+      if (this.meters) this.meters.switchedAt = when + fade;
+
+      // Flag the target button until a deferred switch actually lands
+      clearTimeout(this.switchTimer);
+      const btn = this._lane(this.activeTrack).els.abBtn;
+      for (const lane of this.tracks) lane.els.abBtn.classList.remove('pending');
+      if (delay > 0) {
+        btn.classList.add('pending');
+        this.switchTimer = setTimeout(() => btn.classList.remove('pending'), delay * 1000);
+      }
+    }
+
+    setCrossfade(ms) {
+      this.crossfadeMs = Math.max(0, +ms || 0);
+    }
+
+    setSwitchQuantize(mode) {
+      this.switchQuantize = (mode === 'beat' || mode === 'bar') ? mode : 'off';
+    }
+
+    // ── Meters ──
+
+    // Taps after the monitor matrix, so the meters read exactly what's heard
+    _buildMeters(output) {
+      const ctx = this.ctx;
+      const splitter = ctx.createChannelSplitter(2);
+      output.connect(splitter);
+      const [shelf, highpass] = kWeightingCoeffs(ctx.sampleRate);
+      const raw = [], weighted = [];
+      for (let c = 0; c < 2; c++) {
+        const a = ctx.createAnalyser();
+        a.fftSize = METER_RAW_FFT;
+        splitter.connect(a, c);
+        raw.push(a);
+        const s = ctx.createIIRFilter(shelf.b, shelf.a);
+        const h = ctx.createIIRFilter(highpass.b, highpass.a);
+        const k = ctx.createAnalyser();
+        k.fftSize = METER_K_FFT;
+        splitter.connect(s, c);
+        s.connect(h);
+        h.connect(k);
+        weighted.push(k);
+      }
+      this.meters = {
+        raw, weighted,
+        rawData: [new Float32Array(METER_RAW_FFT), new Float32Array(METER_RAW_FFT)],
+        kData: [new Float32Array(METER_K_FFT), new Float32Array(METER_K_FFT)],
+        blocks: [],            // [{ t, power }] K-weighted 100 ms blocks, newest last
+        lastBlockAt: 0,
+        lastPeakAt: 0,
+        switchedAt: 0,         // when the current track became the only one audible
+        momentary: -Infinity,
+        shortTerm: -Infinity,
+        truePeak: -Infinity,
+        correlation: null,
+      };
+    }
+
+    _resetMeterReadings() {
+      const m = this.meters;
+      if (!m) return;
+      const now = this.ctx.currentTime;
+      m.blocks = [];
+      m.lastBlockAt = m.lastPeakAt = m.switchedAt = now;
+      m.momentary = m.shortTerm = m.truePeak = -Infinity;
+      m.correlation = null;
+    }
+
+    resetMeterMax() {
+      for (const lane of this.tracks) lane.meterMax = null;
+      this._renderMeters();
+    }
+
+    // Called every animation frame while playing
+    _updateMeters() {
+      const m = this.meters;
+      if (!m) return;
+      const now = this.ctx.currentTime;
+      const sr = this.ctx.sampleRate;
+      const toLufs = (p) => p > 0 ? -0.691 + 10 * Math.log10(p) : -Infinity;
+
+      // Loudness: one block per ~100 ms of new audio
+      if (now - m.lastBlockAt >= METER_BLOCK) {
+        const n = Math.min(METER_K_FFT, Math.round((now - m.lastBlockAt) * sr));
+        let power = 0;
+        m.weighted.forEach((a, c) => {
+          const d = m.kData[c];
+          a.getFloatTimeDomainData(d);
+          let sum = 0;
+          for (let i = METER_K_FFT - n; i < METER_K_FFT; i++) sum += d[i] * d[i];
+          power += sum / n;
+        });
+        m.blocks.push({ t: now, power });
+        m.lastBlockAt = now;
+        while (m.blocks.length && m.blocks[0].t <= now - 3) m.blocks.shift();
+        const mean = (sec) => {
+          const recent = m.blocks.filter(b => b.t > now - sec);
+          return recent.length ? recent.reduce((s, b) => s + b.power, 0) / recent.length : 0;
+        };
+        m.momentary = toLufs(mean(0.4));
+        m.shortTerm = toLufs(mean(3));
+      }
+
+      // True peak + correlation over the audio since the last frame
+      const n = Math.max(1, Math.min(METER_RAW_FFT, Math.round((now - m.lastPeakAt) * sr)));
+      m.lastPeakAt = now;
+      m.raw.forEach((a, c) => a.getFloatTimeDomainData(m.rawData[c]));
+      const [l, r] = m.rawData.map(d => d.subarray(METER_RAW_FFT - n));
+      m.truePeak = measureTruePeak(bufferLike([l, r], sr));
+      let lr = 0, ll = 0, rr = 0;
+      for (let i = 0; i < METER_RAW_FFT; i++) {
+        const x = m.rawData[0][i], y = m.rawData[1][i];
+        lr += x * y; ll += x * x; rr += y * y;
+      }
+      if (ll > 1e-9 && rr > 1e-9) {
+        const corr = lr / Math.sqrt(ll * rr);
+        m.correlation = m.correlation == null ? corr : m.correlation + (corr - m.correlation) * 0.15;
+      }
+
+      // Running extremes for whichever track is audible, once its audio fills each window
+      const lane = this._lane(this.activeTrack);
+      const since = now - m.switchedAt;
+      if (lane && since > 0) {
+        const max = lane.meterMax || (lane.meterMax = { momentary: -Infinity, shortTerm: -Infinity, truePeak: -Infinity, correlation: null });
+        if (since >= 0.4) max.momentary = Math.max(max.momentary, m.momentary);
+        if (since >= 3) max.shortTerm = Math.max(max.shortTerm, m.shortTerm);
+        max.truePeak = Math.max(max.truePeak, m.truePeak);
+        if (since >= 0.4 && m.correlation != null) {
+          max.correlation = max.correlation == null ? m.correlation : Math.min(max.correlation, m.correlation);
+        }
+      }
+      if (this.metersVisible) this._renderMeters();
+    }
+
+    _renderMeters() {
+      if (!this.els.meters || !this.metersVisible) return;
+      const m = this.meters;
+      const fmt = (v, unit) => isFinite(v) ? (Math.round(v * 10) / 10).toFixed(1) + (unit ? ' ' + unit : '') : '—';
+      // -60…0 LUFS / dBTP across the bar
+      const width = (v) => isFinite(v) ? Math.max(0, Math.min(100, (v + 60) / 60 * 100)) + '%' : '0%';
+      const fmtCorr = (c) => c == null ? '—' : (c >= 0 ? '+' : '−') + Math.abs(c).toFixed(2);
+      const live = m || { momentary: -Infinity, shortTerm: -Infinity, truePeak: -Infinity, correlation: null };
+
+      this.els.meterMomentary.textContent = fmt(live.momentary, 'LUFS');
+      this.els.meterMomentaryFill.style.width = width(live.momentary);
+      this.els.meterShortTerm.textContent = fmt(live.shortTerm, 'LUFS');
+      this.els.meterShortTermFill.style.width = width(live.shortTerm);
+      this.els.meterTruePeak.textContent = fmt(live.truePeak, 'dBTP');
+      this.els.meterTruePeakFill.style.width = width(live.truePeak);
+      this.els.meterTruePeakFill.classList.toggle('over', live.truePeak > -1);
+      // Correlation fills out from the centre: right = in phase, left = out of phase
+      const corr = live.correlation;
+      this.els.meterCorrelation.textContent = fmtCorr(corr);
+      const fill = this.els.meterCorrelationFill;
+      fill.style.left = corr == null ? '50%' : (50 + Math.min(0, corr) * 50) + '%';
+      fill.style.width = corr == null ? '0%' : Math.abs(corr) * 50 + '%';
+      fill.classList.toggle('out-of-phase', corr != null && corr < 0);
+
+      for (const lane of this.tracks) {
+        const row = this.els['meterRow' + lane.id];
+        if (!row) continue;
+        const max = lane.meterMax;
+        row.classList.toggle('active', lane.id === this.activeTrack);
+        row.querySelector('[data-meter="momentary"]').textContent = max ? fmt(max.momentary) : '—';
+        row.querySelector('[data-meter="shortTerm"]').textContent = max ? fmt(max.shortTerm) : '—';
+        row.querySelector('[data-meter="truePeak"]').textContent = max ? fmt(max.truePeak) : '—';
+        row.querySelector('[data-meter="correlation"]').textContent = fmtCorr(max && max.correlation);
+      }
+    }
+
+    _setMetersVisible(visible) {
+      if (this.blind) return; // per-track readings would reveal the playing track
+      this.metersVisible = visible;
+      if (this.els.meterBtn) this.els.meterBtn.classList.toggle('active', visible);
+      if (this.els.meters) this.els.meters.classList.toggle('visible', visible);
+      this._renderMeters();
+    }
+
+    // ── Loudness Match ──
+
+    _trimGain(track) {
+      if (!this.loudnessMatch) return 1;
+      const lane = this._lane(track);
+      return lane ? Math.pow(10, lane.trimDb / 20) : 1;
+    }
+
+    _measureLoopLoudness() {
+      const loaded = this._loadedLanes();
+      if (loaded.length < 2 || !this.duration) return;
+      // Full-length loop: reuse the integrated values instead of re-measuring
+      const fullLoop = this.loopStartSec <= 0 && this.loopEndSec >= this.duration;
+      for (const lane of loaded) {
+        lane.loopLoudness = fullLoop ? lane.loudness
+          : measureLoudness(lane.buffer, this.loopStartSec + lane.shift, this.loopEndSec + lane.shift);
+      }
+      this._updateLoudnessTrim();
+    }
+
+    _scheduleLoopLoudness() {
+      clearTimeout(this.loudnessTimer);
+      this.loudnessTimer = setTimeout(() => this._measureLoopLoudness(), 250);
+    }
+
+    _updateLoudnessTrim() {
+      // Prefer the loop region measurement; fall back to integrated if the loop is silent in any track
+      const loaded = this._loadedLanes();
+      const useLoop = loaded.every(l => isFinite(l.loopLoudness));
+      const levels = loaded.map(l => useLoop ? l.loopLoudness : l.loudness);
+
+      // Only ever attenuate — match every track down to the quietest one so nothing clips
+      if (loaded.length > 1 && levels.every(isFinite)) {
+        const target = Math.min(...levels);
+        loaded.forEach((lane, i) => { lane.trimDb = target - levels[i]; });
+      } else {
+        for (const lane of loaded) lane.trimDb = 0;
+      }
+
+      this._applyActiveTrack();
+      this._updateMatchUI();
+    }
+
+    _updateMatchUI() {
+      if (!this.els.matchBtn) return;
+      this.els.matchBtn.classList.toggle('active', this.loudnessMatch);
+      // Readout shows the trim on what you're hearing; the tooltip lists every lane
+      const active = this._lane(this.activeTrack);
+      const trim = active ? active.trimDb : 0;
+      this.els.trimLabel.textContent = (this.loudnessMatch && Math.abs(trim) >= 0.05)
+        ? active.id + ' ' + fmtDb(trim) : '';
+      this.els.trimLabel.title = this._loadedLanes().map(l => l.id + ' ' + fmtDb(l.trimDb)).join(' · ');
+    }
+
+    setLoudnessMatch(enabled) {
+      this.loudnessMatch = !!enabled;
+      this._applyActiveTrack();
+      this._updateMatchUI();
+    }
+
+    switchTrack(track) {
+      if (!this._lane(track)) return;
+      const changed = track !== this.activeTrack;
+      if (changed && !this.blind) this._recordEdit('track');
+      this.activeTrack = track;
+      if (this.isPlaying && changed) this._scheduleSwitch();
+      else this._applyActiveTrack();
+      for (const lane of this.tracks) {
+        lane.els.abBtn.classList.toggle('active', lane.id === track);
+        lane.els.badge.classList.toggle('active', lane.id === track);
+      }
+      this._updateMatchUI();
+      this._updateNudgeUI();
+      this._updatePolarityUI();
+      this._redrawWaveforms();
+      this._renderDiffList();
+      if (this.opts.onTrackSwitch) this.opts.onTrackSwitch(track);
+    }
+
+    _getPlayheadSec() {
+      if (this.startedAt === null || !this.ctx) return this.loopStartSec;
+      const elapsed = this.ctx.currentTime - this.startedAt;
+      const loopDur = this.loopEndSec - this.loopStartSec;
+      if (loopDur <= 0) return this.loopStartSec;
+      const raw = this.startOffset + elapsed;
+      if (raw >= this.loopEndSec) {
+        return this.loopStartSec + ((raw - this.loopStartSec) % loopDur);
+      }
+      return raw;
+    }
+
+    seekTo(fraction) {
+      const sec = fraction * this.duration;
+      const clamped = Math.max(this.loopStartSec, Math.min(sec, this.loopEndSec));
+      this.lastPlayheadSec = clamped;
+      if (this.isPlaying) {
+        this.play(clamped);
+      } else {
+        // Update paused playhead in viewport coords
+        const viewFrac = this._toViewFrac(clamped / this.duration);
+        this.els.tracks.classList.add('has-position');
+        this._positionPlayheads(viewFrac);
+        this.els.time.textContent = this._fmtTime(clamped) + ' / ' + this._fmtTime(this.duration);
+      }
+      if (this.opts.onSeek) this.opts.onSeek(clamped);
+    }
+
+    setLoopRegion(startSec, endSec) {
+      const changed = startSec !== this.loopStartSec || endSec !== this.loopEndSec;
+      this.loopStartSec = startSec;
+      this.loopEndSec = endSec;
+      if (changed) this.resetMeterMax(); // maxes describe the current loop region
+      if (changed) this._markActiveLoopCue();
+      this._scheduleLoopLoudness();
+      if (this.isPlaying) {
+        const sec = this._getPlayheadSec();
+        const newPos = Math.max(startSec, Math.min(sec, endSec));
+        this.play(newPos);
+      }
+    }
+
+    // ── Scrubbing ──
+
+    _startScrub(e, container) {
+      if (!this.duration || !this.opts.features.scrubbing) return;
+      // Resume in user-gesture call stack (Safari)
+      if (this.ctx && this.ctx.state === 'suspended') this.ctx.resume();
+      this.isScrubbing = true;
+      document.addEventListener('mousemove', this._onScrubMove);
+      document.addEventListener('mouseup', this._onScrubEnd);
+      document.addEventListener('touchmove', this._onScrubMove, { passive: false });
+      document.addEventListener('touchend', this._onScrubEnd);
+      this._performScrub(e);
+    }
+
+    _handleScrubMove(e) {
+      if (!this.isScrubbing) return;
+      e.preventDefault();
+      this._performScrub(e);
+    }
+
+    _handleScrubEnd(e) {
+      if (!this.isScrubbing) return;
+      this.isScrubbing = false;
+      document.removeEventListener('mousemove', this._onScrubMove);
+      document.removeEventListener('mouseup', this._onScrubEnd);
+      document.removeEventListener('touchmove', this._onScrubMove);
+      document.removeEventListener('touchend', this._onScrubEnd);
+
+      // Stop scrub audio
+      this._stopScrubAudio();
+
+      // Show ghost marker at scrub end position
+      if (!this.isPlaying && this.opts.features.markers && this.lastPlayheadSec > 0) {
+        this._showGhostMarker(this.lastPlayheadSec);
+      }
+    }
+
+    _performScrub(e) {
+      const wrapper = this.els.tracksWrapper;
+      const rect = wrapper.getBoundingClientRect();
+      const clientX = e.touches ? e.touches[0].clientX : e.clientX;
+      let viewFrac = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+      let frac = this._fromViewFrac(viewFrac);
+
+      if (this.opts.restrictRegion) {
+        frac = Math.max(this.loopStart, Math.min(frac, this.loopEnd));
+      }
+
+      this.seekTo(frac);
+
+      // Play short audio burst while scrubbing (when paused)
+      if (!this.isPlaying) {
+        this._playScrubBurst(frac * this.duration);
+      }
+    }
+
+    _playScrubBurst(sec) {
+      this._stopScrubAudio();
+      if (!this.ctx) return;
+
+      const lane = this._lane(this.activeTrack);
+      if (!lane || !lane.buffer) return;
+      const buf = lane.buffer;
+      const shift = lane.shift;
+
+      const level = 0.8 * this._trimGain(this.activeTrack) * lane.polarity;
+      this.scrubGain = this.ctx.createGain();
+      this.scrubGain.gain.value = level;
+      this.scrubGain.connect(this._monitorInput());
+
+      this.scrubSource = this.ctx.createBufferSource();
+      this.scrubSource.buffer = buf;
+      this.scrubSource.connect(this.scrubGain);
+      this.scrubSource.start(0, sec + shift, 0.08); // 80ms burst
+
+      // Fade out
+      this.scrubGain.gain.setValueAtTime(level, this.ctx.currentTime);
+      this.scrubGain.gain.linearRampToValueAtTime(0, this.ctx.currentTime + 0.08);
+
+      clearTimeout(this.scrubAudioTimer);
+      this.scrubAudioTimer = setTimeout(() => this._stopScrubAudio(), 100);
+    }
+
+    _stopScrubAudio() {
+      if (this.scrubSource) { try { this.scrubSource.stop(); } catch(e){} this.scrubSource = null; }
+      if (this.scrubGain) { this.scrubGain.disconnect(); this.scrubGain = null; }
+      clearTimeout(this.scrubAudioTimer);
+    }
+
+    // ── Markers ──
+
+    _showGhostMarker(sec) {
+      this._removeGhostMarker();
+      const viewFrac = this._toViewFrac(sec / this.duration);
+      const el = document.createElement('div');
+      el.className = 'comp-marker ghost';
+      el.title = 'Click to place';
+      el.style.left = (viewFrac * 100) + '%';
+      el.innerHTML = '<div class="comp-marker-chevron">' + CHEVRON_SVG + '</div>';
+      el.addEventListener('click', () => this._pinMarker(sec));
+      this.els.markerRail.appendChild(el);
+      this.ghostMarker = { sec, el };
+    }
 
-      this._render();
-      this._bindEvents();
-      this._loadAudio();
+    _removeGhostMarker() {
+      if (this.ghostMarker) {
+        this.ghostMarker.el.remove();
+        this.ghostMarker = null;
+      }
     }
 
-    // ── Audio Engine ──
+    _pinMarker(sec) {
+      this._removeGhostMarker();
+      this._newMarker(sec);
+    }
 
-    _createContext() {
-      if (!this.ctx) this.ctx = new (window.AudioContext || window.webkitAudioContext)();
+    // Marker placed from the console itself; in notes mode it's a note on the audible track
+    _newMarker(sec, end) {
+      const data = { sec, end };
+      if (this.opts.notes) {
+        data.track = this.activeTrack;
+        data.author = this.opts.noteAuthor;
+      }
+      const id = this.addMarker(data);
+      if (id && this.opts.notes) {
+        const input = this.els.markerList.querySelector(`[data-marker="${id}"] .comp-marker-comment`);
+        if (input) input.focus();
+      }
+      return id;
     }
 
-    async _ensureContext() {
-      this._createContext();
-      if (this.ctx.state === 'suspended') await this.ctx.resume();
+    // '+ Note': at the playhead, or over the loop region with Shift
+    _addNote(overLoop) {
+      if (!this.duration) return;
+      if (overLoop) {
+        this._newMarker(this.loopStartSec, this.loopEndSec);
+      } else {
+        this._newMarker(this.isPlaying ? this._getPlayheadSec() : (this.lastPlayheadSec || this.loopStartSec));
+      }
     }
 
-    _setLoadingProgress(pct) {
-      if (!this.els.loadingFill) return;
-      this.els.loadingBar.classList.add('visible');
-      this.els.loadingFill.style.width = Math.min(100, Math.round(pct)) + '%';
+    // Number (bare seconds) or marker-shaped object → validated fields, or null
+    _normalizeMarker(data) {
+      const src = typeof data === 'number' ? { sec: data } : (data || {});
+      const sec = +src.sec;
+      if (!isFinite(sec) || sec < 0 || sec > this.duration) return null;
+      const end = src.end != null && isFinite(+src.end) && +src.end > sec ? Math.min(this.duration, +src.end) : null;
+      return {
+        sec,
+        end,
+        label: src.label ? String(src.label) : '',
+        color: typeof src.color === 'string' && MARKER_COLOR_RE.test(src.color) ? src.color : null,
+        track: src.track && this._lane(src.track) ? src.track : null,
+        comment: src.comment ? String(src.comment) : '',
+        author: src.author ? String(src.author) : null,
+      };
     }
 
-    _setLoadingStatus(text) {
-      if (!this.els.loadingText) return;
-      this.els.loadingText.innerHTML = text + '<span class="dot-anim"></span>';
+    // Public shape (no DOM)
+    _markerView(m) {
+      return { id: m.id, sec: m.sec, end: m.end, label: m.label, color: m.color, track: m.track, comment: m.comment, author: m.author };
     }
 
-    async _loadAudio() {
-      this._createContext();
+    // Compact form for getState(): only the fields that are set
+    _markerState(m) {
+      const out = { sec: m.sec };
+      for (const key of ['end', 'label', 'color', 'track', 'comment', 'author']) if (m[key]) out[key] = m[key];
+      return out;
+    }
 
-      const trackCount = (this.opts.trackA ? 1 : 0) + (this.opts.trackB ? 1 : 0);
-      let tracksLoaded = 0;
+    _marker(id) {
+      return this.markers.find(m => m.id === id) || null;
+    }
 
-      const decode = (arrayBuf, label) => {
-        return new Promise((resolve, reject) => {
-          this.ctx.decodeAudioData(arrayBuf, resolve, (err) => {
-            reject(new Error('decodeAudioData failed for ' + label + ': ' + err));
-          });
-        });
-      };
+    addMarker(data) {
+      if (!this.els.markerRail) return null;
+      const fields = this._normalizeMarker(data);
+      if (!fields) return null;
+      this._recordEdit('marker');
+      return this._insertMarker(fields, ++this.markerSeq);
+    }
 
-      const load = async (url, label) => {
-        if (!url || url === '#') return null;
+    _insertMarker(fields, id) {
+      const m = Object.assign({ id, el: null, spanEl: null }, fields);
+      this.markers.push(m);
+      this._renderMarker(m);
+      this._positionMarkers();
+      this._renderMarkerList();
+      if (this.opts.onMarkerPlace) this.opts.onMarkerPlace(m.sec, this._markerView(m));
+      return m.id;
+    }
 
-        // 1. Check in-memory cache (instant — same page session)
-        const mem = _memCache.get(url);
-        if (mem) {
-          tracksLoaded++;
-          this._setLoadingProgress((tracksLoaded / trackCount) * 70);
-          this._setLoadingStatus(label + ' (cached)');
-          return mem.buffer;
-        }
+    updateMarker(id, changes) {
+      const m = this._marker(id);
+      if (!m) return false;
+      this._recordEdit('marker');
+      if (!this._editMarker(m, changes)) return false;
+      this._renderMarkerList();
+      return true;
+    }
 
-        // 2. Check IndexedDB cache (skip network, just re-decode)
-        const idb = await _idbGet(url);
-        if (idb && idb.rawBytes) {
-          this._setLoadingStatus('Decoding ' + label + ' (cached)');
-          const buffer = await decode(idb.rawBytes, label);
-          _memCache.set(url, { buffer, duration: buffer.duration, sampleRate: buffer.sampleRate, channels: buffer.numberOfChannels });
-          tracksLoaded++;
-          this._setLoadingProgress((tracksLoaded / trackCount) * 70);
-          return buffer;
-        }
+    // Apply changes to one marker's fields + rail element (the list is left alone, so it keeps focus)
+    _editMarker(m, changes) {
+      const fields = this._normalizeMarker(Object.assign(this._markerView(m), changes));
+      if (!fields) return false;
+      Object.assign(m, fields);
+      this._renderMarker(m);
+      this._positionMarkers();
+      if (this.opts.onMarkerChange) this.opts.onMarkerChange(this._markerView(m));
+      return true;
+    }
 
-        // 3. Fetch from network with progress
-        const res = await fetch(url);
-        if (!res.ok) throw new Error('HTTP ' + res.status + ' fetching ' + label);
-        const total = parseInt(res.headers.get('content-length') || '0', 10);
-        let loaded = 0;
+    removeMarker(id) {
+      const m = this._marker(id);
+      if (!m) return false;
+      this._recordEdit('marker');
+      m.el.remove();
+      if (m.spanEl) m.spanEl.remove();
+      this.markers = this.markers.filter(x => x !== m);
+      this._renderMarkerList();
+      if (this.opts.onMarkerRemove) this.opts.onMarkerRemove(m.sec, this._markerView(m));
+      return true;
+    }
 
-        let arrayBuf;
-        if (total && res.body) {
-          const reader = res.body.getReader();
-          const chunks = [];
-          while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-            chunks.push(value);
-            loaded += value.byteLength;
-            const trackPct = loaded / total;
-            const basePct = (tracksLoaded / trackCount) * 70;
-            const slicePct = (trackPct / trackCount) * 70;
-            this._setLoadingProgress(basePct + slicePct);
-            const mb = (loaded / (1024 * 1024)).toFixed(1);
-            const totalMb = (total / (1024 * 1024)).toFixed(1);
-            this._setLoadingStatus('Downloading ' + label + ' (' + mb + ' / ' + totalMb + ' MB)');
-          }
-          const combined = new Uint8Array(loaded);
-          let offset = 0;
-          for (const chunk of chunks) { combined.set(chunk, offset); offset += chunk.byteLength; }
-          arrayBuf = combined.buffer;
-        } else {
-          this._setLoadingStatus('Downloading ' + label);
-          arrayBuf = await res.arrayBuffer();
-        }
+    getMarkers() {
+      return this.markers.slice().sort((a, b) => a.sec - b.sec).map(m => this._markerView(m));
+    }
 
-        if (!arrayBuf.byteLength) throw new Error('Empty response for ' + label);
-        tracksLoaded++;
-        this._setLoadingProgress((tracksLoaded / trackCount) * 70);
-        this._setLoadingStatus('Decoding ' + label);
-        // Copy raw bytes before decode (decodeAudioData may neuter the ArrayBuffer)
-        const rawCopy = arrayBuf.slice(0);
-        const buffer = await decode(arrayBuf, label);
+    _markerColor(m) {
+      return m.color || (m.track ? this._trackColor(m.track) : '');
+    }
 
-        // Store in both caches
-        _memCache.set(url, { buffer, duration: buffer.duration, sampleRate: buffer.sampleRate, channels: buffer.numberOfChannels });
-        _idbPut(url, { rawBytes: rawCopy, duration: buffer.duration, sampleRate: buffer.sampleRate, channels: buffer.numberOfChannels });
+    _markerTimeText(m) {
+      return this._fmtTime(m.sec) + (m.end != null ? '–' + this._fmtTime(m.end) : '');
+    }
 
-        return buffer;
-      };
+    // Build or refresh a marker's rail elements: chevron (+ label) and, for ranges, a span with an end grip
+    _renderMarker(m) {
+      if (!m.el) {
+        m.el = document.createElement('div');
+        m.el.className = 'comp-marker';
+        m.el.addEventListener('mousedown', (e) => this._startMarkerDrag(m, 'move', e));
+        m.el.addEventListener('touchstart', (e) => this._startMarkerDrag(m, 'move', e), { passive: false });
+        m.el.addEventListener('click', () => {
+          if (this.suppressMarkerClick) { this.suppressMarkerClick = false; return; }
+          this.seekTo(m.sec / this.duration);
+        });
+        m.el.addEventListener('dblclick', () => this.removeMarker(m.id));
+        this.els.markerRail.appendChild(m.el);
+      }
+      m.el.innerHTML = '<div class="comp-marker-chevron">' + CHEVRON_SVG + '</div>'
+        + (m.label ? `<span class="comp-marker-label">${escapeHtml(m.label)}</span>` : '');
+      const color = this._markerColor(m);
+      let tip = (m.label || 'Marker') + ' · ' + this._markerTimeText(m);
+      if (m.track && !this.blind) tip += ' · ' + m.track;
+      if (m.comment) tip += '\n' + m.comment;
+      if (m.author) tip += '\n— ' + m.author;
+      tip += '\nDrag to move · double-click to remove';
+      m.el.title = tip;
+
+      if (m.end != null && !m.spanEl) {
+        m.spanEl = document.createElement('div');
+        m.spanEl.className = 'comp-marker-span';
+        m.spanEl.innerHTML = '<div class="comp-marker-end" title="Drag to resize"></div>';
+        const grip = m.spanEl.firstChild;
+        grip.addEventListener('mousedown', (e) => this._startMarkerDrag(m, 'end', e));
+        grip.addEventListener('touchstart', (e) => this._startMarkerDrag(m, 'end', e), { passive: false });
+        this.els.markerRail.insertBefore(m.spanEl, this.els.markerRail.firstChild); // under the chevrons
+      } else if (m.end == null && m.spanEl) {
+        m.spanEl.remove();
+        m.spanEl = null;
+      }
+      for (const el of [m.el, m.spanEl]) {
+        if (!el) continue;
+        if (color) el.style.setProperty('--comp-marker', color);
+        else el.style.removeProperty('--comp-marker');
+      }
+      if (m.spanEl) m.spanEl.title = tip;
+    }
 
-      try {
-        let bufA = null, bufB = null;
-        if (this.opts.trackA) {
-          bufA = await load(this.opts.trackA.url, this.opts.trackA.label || 'A')
-            .catch(e => { console.error('Track A load failed:', e); return null; });
-        }
-        if (this.opts.trackB) {
-          bufB = await load(this.opts.trackB.url, this.opts.trackB.label || 'B')
-            .catch(e => { console.error('Track B load failed:', e); return null; });
+    _positionMarkers() {
+      if (!this.duration) return;
+      for (const m of this.markers) {
+        const mFrac = this._toViewFrac(m.sec / this.duration);
+        m.el.style.left = (mFrac * 100) + '%';
+        m.el.style.display = (mFrac < -0.01 || mFrac > 1.01) ? 'none' : '';
+        if (m.spanEl) {
+          const a = Math.max(0, mFrac), b = Math.min(1, this._toViewFrac(m.end / this.duration));
+          m.spanEl.style.left = (a * 100) + '%';
+          m.spanEl.style.width = (Math.max(0, b - a) * 100) + '%';
+          m.spanEl.style.display = b <= a ? 'none' : '';
         }
+      }
+    }
 
-        this._setLoadingProgress(70);
-        this.bufferA = bufA;
-        this.bufferB = bufB;
+    // ── Marker Dragging ──
 
-        const wantedA = !!this.opts.trackA, wantedB = !!this.opts.trackB;
-        if ((wantedA && !bufA && !wantedB) || (wantedB && !bufB && !wantedA) || (wantedA && !bufA && wantedB && !bufB)) {
-          this.els.loadingText.textContent = 'Could not load audio — check console';
-          return;
-        }
+    _markerSecAt(clientX) {
+      const rect = this.els.markerRail.getBoundingClientRect();
+      const viewFrac = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+      return this._fromViewFrac(viewFrac) * this.duration;
+    }
 
-        if (this.opts.alignment && bufA && bufB) {
-          this._setLoadingStatus('Aligning tracks');
-          this._setLoadingProgress(75);
-          await new Promise(r => setTimeout(r, 0));
-          this.offsetB = findAlignmentOffset(bufA, bufB);
-        } else {
-          this.offsetB = 0;
-        }
+    _startMarkerDrag(m, part, e) {
+      if (e.button) return; // primary button / touch only
+      e.preventDefault();
+      e.stopPropagation();
+      const clientX = e.touches ? e.touches[0].clientX : e.clientX;
+      this.markerDrag = { marker: m, part, grabSec: this._markerSecAt(clientX), origSec: m.sec, origEnd: m.end, startX: clientX, moved: false };
+      document.addEventListener('mousemove', this._onMarkerDrag);
+      document.addEventListener('mouseup', this._onMarkerDragEnd);
+      document.addEventListener('touchmove', this._onMarkerDrag, { passive: false });
+      document.addEventListener('touchend', this._onMarkerDragEnd);
+    }
 
-        const aShift = Math.max(0, -this.offsetB);
-        const bShift = Math.max(0, this.offsetB);
-        if (bufA && bufB) {
-          this.duration = Math.min(bufA.duration - aShift, bufB.duration - bShift);
-        } else if (bufA) {
-          this.duration = bufA.duration - aShift;
-        } else if (bufB) {
-          this.duration = bufB.duration - bShift;
-        }
+    _handleMarkerDrag(e) {
+      const drag = this.markerDrag;
+      if (!drag) return;
+      e.preventDefault();
+      const clientX = e.touches ? e.touches[0].clientX : e.clientX;
+      if (!drag.moved && Math.abs(clientX - drag.startX) < 3) return; // still a click
+      if (!drag.moved) this._recordEdit('marker');
+      drag.moved = true;
+      const m = drag.marker;
+      m.el.classList.add('dragging');
+      const pointerSec = this._markerSecAt(clientX);
+
+      if (drag.part === 'end') {
+        // Snap to beat grid if active (Shift: whole bars)
+        const end = this._snapFracToBeat(pointerSec / this.duration, e.shiftKey) * this.duration;
+        m.end = Math.max(m.sec + MARKER_MIN_RANGE, Math.min(this.duration, end));
+      } else {
+        const length = drag.origEnd != null ? drag.origEnd - drag.origSec : 0;
+        let sec = drag.origSec + (pointerSec - drag.grabSec);
+        sec = this._snapFracToBeat(Math.max(0, sec) / this.duration, e.shiftKey) * this.duration;
+        m.sec = Math.max(0, Math.min(this.duration - length, sec));
+        if (m.end != null) m.end = m.sec + length;
+      }
+      this._positionMarkers();
+    }
 
-        this._setLoadingProgress(80);
-        this._setLoadingStatus('Rendering waveforms');
-        await new Promise(r => setTimeout(r, 0));
-        if (bufA) this.peaksA = extractPeaks(bufA, PEAK_BINS, aShift, aShift + this.duration);
-        if (bufB) this.peaksB = extractPeaks(bufB, PEAK_BINS, bShift, bShift + this.duration);
+    _handleMarkerDragEnd() {
+      const drag = this.markerDrag;
+      this.markerDrag = null;
+      document.removeEventListener('mousemove', this._onMarkerDrag);
+      document.removeEventListener('mouseup', this._onMarkerDragEnd);
+      document.removeEventListener('touchmove', this._onMarkerDrag);
+      document.removeEventListener('touchend', this._onMarkerDragEnd);
+      if (!drag || !drag.moved) return;
+      drag.marker.el.classList.remove('dragging');
+      this.suppressMarkerClick = true;
+      setTimeout(() => { this.suppressMarkerClick = false; }, 0); // touch drags have no trailing click
+      this._renderMarker(drag.marker);
+      this._renderMarkerList();
+      if (this.opts.onMarkerChange) this.opts.onMarkerChange(this._markerView(drag.marker));
+    }
 
-        this.loopStartSec = this.loopStart * this.duration;
-        this.loopEndSec = this.loopEnd * this.duration;
+    // ── Marker List ──
 
-        if (this.opts.features.driftMap && bufA && bufB) {
-          this._setLoadingProgress(85);
-          this._setLoadingStatus('Computing drift map');
-          await new Promise(r => setTimeout(r, 0));
-          const result = computeDiffData(bufA, bufB, PEAK_BINS, this.duration, this.offsetB);
-          if (result) {
-            this.diffData = result.data;
-            this.diffMax = result.max;
-          }
-        }
-        if (this.opts.features.beatGrid && bufA) {
-          setTimeout(() => {
-            this.beatGrid = detectBeats(bufA);
-            if (this.beatGridVisible) this._redrawWaveforms();
-          }, 50);
+    _renderMarkerList() {
+      const list = this.els.markerList;
+      if (!list) return;
+      list.classList.toggle('visible', this.markers.length > 0);
+      let html = '';
+      for (const m of this.markers.slice().sort((a, b) => a.sec - b.sec)) {
+        html += `<div class="comp-marker-item" data-marker="${m.id}">`;
+        html += '<button class="comp-marker-swatch" data-action="color" title="Color"></button>';
+        html += `<button class="comp-marker-time" data-action="seek" title="${m.end != null ? 'Loop + zoom to this range' : 'Jump here'}">${this._markerTimeText(m)}</button>`;
+        html += `<input class="comp-marker-name" data-field="label" placeholder="Label" value="${escapeHtml(m.label)}">`;
+        if (!this.isSingleTrack) {
+          html += `<button class="comp-marker-track" data-action="track" title="Track this note is about">${m.track || 'All'}</button>`;
         }
-
-        this._setLoadingProgress(100);
-        this.els.time.textContent = '0:00 / ' + fmtTime(this.duration);
-        this._updateLoopRegion();
-        this.els.loading.classList.add('hidden');
-        this._applyRestoredState();
-
-      } catch (e) {
-        console.error('Audio load error:', e);
-        this.els.loadingText.textContent = 'Audio unavailable';
+        html += `<input class="comp-marker-comment" data-field="comment" placeholder="Comment" value="${escapeHtml(m.comment)}">`;
+        if (m.author) html += `<span class="comp-marker-author">${escapeHtml(m.author)}</span>`;
+        html += '<button class="comp-marker-del" data-action="remove" title="Remove marker">×</button>';
+        html += '</div>';
+      }
+      list.innerHTML = html;
+      for (const swatch of list.querySelectorAll('.comp-marker-swatch')) {
+        const color = this._markerColor(this._marker(+swatch.parentNode.dataset.marker));
+        if (color) swatch.style.setProperty('--comp-marker', color);
       }
     }
 
-    play(offset) {
-      // Resume synchronously in the user-gesture call stack (Safari requirement)
-      this._createContext();
-      if (this.ctx.state === 'suspended') this.ctx.resume();
+    _handleMarkerListClick(e) {
+      const btn = e.target.closest('button[data-action]');
+      const row = e.target.closest('[data-marker]');
+      if (!btn || !row) return;
+      const m = this._marker(+row.dataset.marker);
+      if (!m) return;
+      switch (btn.dataset.action) {
+        case 'seek':
+          if (m.end != null) this._loopAndZoom(m.sec, m.end);
+          else this.seekTo(m.sec / this.duration);
+          break;
+        case 'color':
+          this.updateMarker(m.id, { color: cycle(MARKER_COLORS, m.color) });
+          break;
+        case 'track':
+          this.updateMarker(m.id, { track: cycle([null].concat(this._loadedLanes().map(l => l.id)), m.track) });
+          break;
+        case 'remove':
+          this.removeMarker(m.id);
+          break;
+      }
+    }
 
-      this._ensureContext().then(() => {
-        this.stop();
+    // ── Loop Cues ──
+    //
+    // Named loop regions saved from the current loop and recalled with Shift+1…9.
+    // Recipients held to the sender's region can still recall them (that's what they're for),
+    // but only an editable console can add, rename, reorder or remove cues.
 
-        this.gainA = this.ctx.createGain();
-        this.gainB = this.ctx.createGain();
-        this.gainA.connect(this.ctx.destination);
-        this.gainB.connect(this.ctx.destination);
-        this._applyActiveTrack();
+    _loopCue(id) {
+      return this.loopCues.find(c => c.id === id) || null;
+    }
 
-        const aShift = Math.max(0, -this.offsetB);
-        const bShift = Math.max(0, this.offsetB);
-        const startAt = (offset !== undefined) ? offset : this.loopStartSec;
+    _addLoopCue(data) {
+      const start = Math.max(0, +data.start), end = Math.min(this.duration, +data.end);
+      if (!this.duration || !(end > start)) return null;
+      const id = ++this.loopCueSeq;
+      this.loopCues.push({ id, name: data.name ? String(data.name) : 'Loop ' + id, start, end });
+      return id;
+    }
 
-        if (this.bufferA) {
-          this.sourceA = this.ctx.createBufferSource();
-          this.sourceA.buffer = this.bufferA;
-          this.sourceA.loop = true;
-          this.sourceA.loopStart = this.loopStartSec + aShift;
-          this.sourceA.loopEnd = Math.min(this.bufferA.duration, this.loopEndSec + aShift);
-          this.sourceA.connect(this.gainA);
-          this.sourceA.start(0, startAt + aShift);
-        }
-        if (this.bufferB) {
-          this.sourceB = this.ctx.createBufferSource();
-          this.sourceB.buffer = this.bufferB;
-          this.sourceB.loop = true;
-          this.sourceB.loopStart = this.loopStartSec + bShift;
-          this.sourceB.loopEnd = Math.min(this.bufferB.duration, this.loopEndSec + bShift);
-          this.sourceB.connect(this.gainB);
-          this.sourceB.start(0, startAt + bShift);
-        }
+    _isActiveLoopCue(cue) {
+      return Math.abs(cue.start - this.loopStartSec) < 1e-3 && Math.abs(cue.end - this.loopEndSec) < 1e-3;
+    }
 
-        this.startOffset = startAt;
-        this.startedAt = this.ctx.currentTime;
-        this.isPlaying = true;
+    saveLoopCue(name) {
+      if (this.opts.restrictRegion) return null;
+      const id = this._addLoopCue({ name, start: this.loopStartSec, end: this.loopEndSec });
+      this._renderLoopCueList();
+      return id;
+    }
 
-        this.els.tracks.classList.add('playing');
-        this.els.tracks.classList.remove('has-position');
-        this._removeGhostMarker();
+    // By id; Shift+digit passes the list position instead (recallLoopCueAt)
+    recallLoopCue(id) {
+      const cue = this._loopCue(id);
+      if (!cue || !this.duration) return false;
+      if (this.isZoomed) {
+        this._loopAndZoom(cue.start, cue.end);
+      } else {
+        this._recordEdit('loop');
+        this.loopStart = cue.start / this.duration;
+        this.loopEnd = cue.end / this.duration;
+        this.setLoopRegion(cue.start, cue.end);
+        this._updateLoopRegion();
+      }
+      this.seekTo(cue.start / this.duration); // from the top of the section
+      return true;
+    }
 
-        this._updatePlayBtn(true);
-        this._updatePlayhead();
-        if (this.opts.onPlay) this.opts.onPlay();
-      });
+    recallLoopCueAt(index) {
+      const cue = this.loopCues[index];
+      return cue ? this.recallLoopCue(cue.id) : false;
     }
 
-    stop() {
-      const wasPlaying = this.isPlaying;
+    renameLoopCue(id, name) {
+      const cue = this._loopCue(id);
+      if (!cue || this.opts.restrictRegion) return false;
+      cue.name = String(name || '').trim() || cue.name;
+      this._renderLoopCueList();
+      return true;
+    }
 
-      if (this.sourceA) { try { this.sourceA.stop(); } catch(e){} this.sourceA = null; }
-      if (this.sourceB) { try { this.sourceB.stop(); } catch(e){} this.sourceB = null; }
-      if (this.gainA) { this.gainA.disconnect(); this.gainA = null; }
-      if (this.gainB) { this.gainB.disconnect(); this.gainB = null; }
-      if (this.animFrame) { cancelAnimationFrame(this.animFrame); this.animFrame = null; }
+    // Move to `index` in the list (and so to key Shift+index+1)
+    moveLoopCue(id, index) {
+      const cue = this._loopCue(id);
+      if (!cue || this.opts.restrictRegion) return false;
+      const to = Math.max(0, Math.min(this.loopCues.length - 1, index));
+      this.loopCues.splice(this.loopCues.indexOf(cue), 1);
+      this.loopCues.splice(to, 0, cue);
+      this._renderLoopCueList();
+      return true;
+    }
 
-      // Persist playhead position
-      if (wasPlaying) {
-        this.lastPlayheadSec = this._getPlayheadSec();
-      }
+    removeLoopCue(id) {
+      const cue = this._loopCue(id);
+      if (!cue || this.opts.restrictRegion) return false;
+      this.loopCues = this.loopCues.filter(c => c !== cue);
+      this._renderLoopCueList();
+      return true;
+    }
 
-      this.isPlaying = false;
-      this.els.tracks.classList.remove('playing');
+    getLoopCues() {
+      return this.loopCues.map(({ id, name, start, end }) => ({ id, name, start, end }));
+    }
 
-      // Show paused playhead if we have a position
-      if (this.lastPlayheadSec > 0) {
-        this.els.tracks.classList.add('has-position');
-        const viewFrac = this._toViewFrac(this.lastPlayheadSec / this.duration);
-        this.els.playheadA.style.left = (viewFrac * 100) + '%';
-        this.els.playheadB.style.left = (viewFrac * 100) + '%';
-      }
+    _renderLoopCueList() {
+      const list = this.els.cueList;
+      if (!list) return;
+      list.classList.toggle('visible', this.loopCues.length > 0);
+      const editable = !this.opts.restrictRegion;
+      let html = '';
+      this.loopCues.forEach((cue, i) => {
+        html += `<div class="comp-cue-item${this._isActiveLoopCue(cue) ? ' active' : ''}" data-cue="${cue.id}">`;
+        html += `<button class="comp-cue-key" data-action="recall" title="Loop this section${i < 9 ? ' (Shift+' + (i + 1) + ')' : ''}">${i + 1}</button>`;
+        html += `<input class="comp-cue-name" data-field="name" value="${escapeHtml(cue.name)}"${editable ? '' : ' readonly'}>`;
+        html += `<button class="comp-cue-time" data-action="recall">${this._fmtTime(cue.start)}–${this._fmtTime(cue.end)}</button>`;
+        if (editable) {
+          html += `<button data-action="up" title="Move up"${i === 0 ? ' disabled' : ''}>↑</button>`;
+          html += `<button data-action="down" title="Move down"${i === this.loopCues.length - 1 ? ' disabled' : ''}>↓</button>`;
+          html += '<button class="comp-cue-del" data-action="remove" title="Remove loop cue">×</button>';
+        }
+        html += '</div>';
+      });
+      list.innerHTML = html;
+    }
 
-      // Show ghost marker at stop position
-      if (wasPlaying && this.opts.features.markers && this.lastPlayheadSec > 0) {
-        this._showGhostMarker(this.lastPlayheadSec);
+    // Highlight the cue matching the current loop, without rebuilding the list (keeps input focus)
+    _markActiveLoopCue() {
+      if (!this.els.cueList) return;
+      for (const row of this.els.cueList.querySelectorAll('[data-cue]')) {
+        const cue = this._loopCue(+row.dataset.cue);
+        row.classList.toggle('active', !!cue && this._isActiveLoopCue(cue));
       }
+    }
 
-      if (wasPlaying) {
-        this._updatePlayBtn(false);
-        if (this.opts.onStop) this.opts.onStop();
+    _handleLoopCueListClick(e) {
+      const btn = e.target.closest('button[data-action]');
+      const row = e.target.closest('[data-cue]');
+      if (!btn || !row) return;
+      const cue = this._loopCue(+row.dataset.cue);
+      if (!cue) return;
+      const index = this.loopCues.indexOf(cue);
+      switch (btn.dataset.action) {
+        case 'recall':
+          this.recallLoopCue(cue.id);
+          break;
+        case 'up':
+          this.moveLoopCue(cue.id, index - 1);
+          break;
+        case 'down':
+          this.moveLoopCue(cue.id, index + 1);
+          break;
+        case 'remove':
+          this.removeLoopCue(cue.id);
+          break;
       }
     }
 
-    _applyActiveTrack() {
-      if (this.gainA) this.gainA.gain.value = (this.activeTrack === 'A') ? 1 : 0;
-      if (this.gainB) this.gainB.gain.value = (this.activeTrack === 'B') ? 1 : 0;
+    // ── Alignment Nudge ──
+
+    // Lane the nudge controls move: the active one, or the first non-reference lane
+    _nudgeLane() {
+      const active = this._lane(this.activeTrack);
+      if (active && active.id !== this.referenceTrack && active.buffer) return active;
+      return this._loadedLanes().find(l => l.id !== this.referenceTrack) || null;
     }
 
-    switchTrack(track) {
-      if (this.isSingleTrack && track === 'B') return;
-      this.activeTrack = track;
-      this._applyActiveTrack();
-      this.els.abBtnA.className = 'comp-ab-btn' + (track === 'A' ? ' active-a' : '');
-      this.els.abBtnB.className = 'comp-ab-btn' + (track === 'B' ? ' active-b' : '');
-      this.els.badgeA.className = 'comp-track-badge' + (track === 'A' ? ' active-a' : '');
-      this.els.badgeB.className = 'comp-track-badge' + (track === 'B' ? ' active-b' : '');
-      this._redrawWaveforms();
-      if (this.opts.onTrackSwitch) this.opts.onTrackSwitch(track);
+    setAlignmentOffset(sec, track) {
+      const lane = track ? this._lane(track) : this._nudgeLane();
+      if (!lane || !lane.buffer || lane.id === this.referenceTrack || !isFinite(sec)) return;
+      lane.offset = sec;
+      lane.offsetMode = 'manual';
+      this._realign();
     }
 
-    _getPlayheadSec() {
-      if (this.startedAt === null || !this.ctx) return this.loopStartSec;
-      const elapsed = this.ctx.currentTime - this.startedAt;
-      const loopDur = this.loopEndSec - this.loopStartSec;
-      if (loopDur <= 0) return this.loopStartSec;
-      const raw = this.startOffset + elapsed;
-      if (raw >= this.loopEndSec) {
-        return this.loopStartSec + ((raw - this.loopStartSec) % loopDur);
-      }
-      return raw;
+    nudgeAlignment(deltaSec, track) {
+      const lane = track ? this._lane(track) : this._nudgeLane();
+      if (lane) this.setAlignmentOffset(lane.offset + deltaSec, lane.id);
     }
 
-    seekTo(fraction) {
-      const sec = fraction * this.duration;
-      const clamped = Math.max(this.loopStartSec, Math.min(sec, this.loopEndSec));
-      this.lastPlayheadSec = clamped;
-      if (this.isPlaying) {
-        this.play(clamped);
-      } else {
-        // Update paused playhead in viewport coords
-        const viewFrac = this._toViewFrac(clamped / this.duration);
-        this.els.tracks.classList.add('has-position');
-        this.els.playheadA.style.left = (viewFrac * 100) + '%';
-        this.els.playheadB.style.left = (viewFrac * 100) + '%';
-        this.els.time.textContent = fmtTime(clamped) + ' / ' + fmtTime(this.duration);
-      }
-      if (this.opts.onSeek) this.opts.onSeek(clamped);
+    // Back to what auto-alignment found
+    resetAlignmentOffset(track) {
+      const lane = track ? this._lane(track) : this._nudgeLane();
+      if (!lane || !lane.buffer || lane.id === this.referenceTrack) return;
+      lane.offset = lane.autoOffset;
+      lane.offsetMode = 'auto';
+      this._realign();
+    }
+
+    getAlignmentOffset(track) {
+      const lane = track ? this._lane(track) : this._nudgeLane();
+      return lane ? lane.offset : 0;
     }
 
-    setLoopRegion(startSec, endSec) {
-      this.loopStartSec = startSec;
-      this.loopEndSec = endSec;
-      if (this.isPlaying) {
-        const sec = this._getPlayheadSec();
-        const newPos = Math.max(startSec, Math.min(sec, endSec));
-        this.play(newPos);
-      }
+    // Re-lay lanes after an offset change: waveforms move now, analysis follows once nudging pauses
+    _realign() {
+      const playing = this.isPlaying;
+      const pos = playing ? this._getPlayheadSec() : null;
+      this._updateShifts();
+      this.loopStartSec = this.loopStart * this.duration;
+      this.loopEndSec = this.loopEnd * this.duration;
+      this.els.time.textContent = this._fmtTime(this.lastPlayheadSec) + ' / ' + this._fmtTime(this.duration);
+      this._updateNudgeUI();
+      this._updateLoopRegion();
+      this._scheduleSpectrograms();
+      if (playing) this.play(Math.max(this.loopStartSec, Math.min(pos, this.loopEndSec)));
+
+      clearTimeout(this.realignTimer);
+      this.realignTimer = setTimeout(() => {
+        const ref = this._lane(this.referenceTrack);
+        if (!ref || !ref.buffer) return;
+        const drifting = this._loadedLanes().filter(l => l !== ref && l.diffData);
+        Promise.all(drifting.map(lane => this._analyzeDrift(lane, ref))).then(() => {
+          if (this.isZoomed) this._computeZoomedData();
+          else this._redrawWaveforms();
+        }).catch(e => { if (!e.cancelled) console.error('Drift analysis failed:', e); });
+        this._measureConfidence();
+        this._measureLoopLoudness();
+      }, 200);
     }
 
-    // ── Scrubbing ──
+    _updateNudgeUI() {
+      const readout = this.els.nudgeReadout;
+      if (!readout) return;
+      const lane = this._nudgeLane();
+      if (!lane) { readout.textContent = '—'; return; }
+      const sr = lane.buffer.sampleRate;
+      const value = this.nudgeUnit === 'samples'
+        ? (lane.offset >= 0 ? '+' : '−') + Math.round(Math.abs(lane.offset) * sr) + ' smp'
+        : (lane.offset >= 0 ? '+' : '−') + (Math.abs(lane.offset) * 1000).toFixed(1) + ' ms';
+      readout.textContent = lane.id + ' ' + value;
+      const conf = lane.confidence != null ? ' · ' + Math.round(lane.confidence * 100) + '% match' : '';
+      readout.title = lane.id + ' vs ' + this.referenceTrack + ' · ' +
+        (lane.offsetMode === 'manual' ? 'nudged by hand' : 'auto-aligned') + conf + ' (click for ' +
+        (this.nudgeUnit === 'samples' ? 'ms' : 'samples') + ')';
+      this.els.nudge.classList.toggle('manual', lane.offsetMode === 'manual');
+      this.els.nudgeAuto.disabled = lane.offsetMode !== 'manual';
+    }
 
-    _startScrub(e, container) {
-      if (!this.duration || !this.opts.features.scrubbing) return;
-      // Resume in user-gesture call stack (Safari)
-      if (this.ctx && this.ctx.state === 'suspended') this.ctx.resume();
-      this.isScrubbing = true;
-      document.addEventListener('mousemove', this._onScrubMove);
-      document.addEventListener('mouseup', this._onScrubEnd);
-      document.addEventListener('touchmove', this._onScrubMove, { passive: false });
-      document.addEventListener('touchend', this._onScrubEnd);
-      this._performScrub(e);
+    // One nudge step: 1 ms / 1 sample (×10 for the outer buttons or with Shift)
+    _nudgeStep(steps) {
+      const lane = this._nudgeLane();
+      if (!lane) return;
+      const unit = this.nudgeUnit === 'samples' ? 1 / lane.buffer.sampleRate : 0.001;
+      this.nudgeAlignment(steps * unit, lane.id);
     }
 
-    _handleScrubMove(e) {
-      if (!this.isScrubbing) return;
-      e.preventDefault();
-      this._performScrub(e);
+    // ── Polarity + Null Test ──
+    //
+    // A lane's polarity multiplies its playback gain and the B side of the drift analysis.
+    // Null test plays the reference minus the nudge lane through the same gain graph, so a
+    // perfect match (aligned, same polarity, matched loudness) plays as silence.
+
+    // Playback gain for one lane under the current active track / null test
+    _laneGain(lane) {
+      if (this.nullTest) {
+        if (lane.id === this.referenceTrack) return this._trimGain(lane.id);
+        return lane === this._nudgeLane() ? -this._trimGain(lane.id) * lane.polarity : 0;
+      }
+      return this.activeTrack === lane.id ? this._trimGain(lane.id) * lane.polarity : 0;
     }
 
-    _handleScrubEnd(e) {
-      if (!this.isScrubbing) return;
-      this.isScrubbing = false;
-      document.removeEventListener('mousemove', this._onScrubMove);
-      document.removeEventListener('mouseup', this._onScrubEnd);
-      document.removeEventListener('touchmove', this._onScrubMove);
-      document.removeEventListener('touchend', this._onScrubEnd);
+    setPolarity(track, polarity) {
+      const lane = track ? this._lane(track) : this._nudgeLane();
+      if (!lane || !lane.buffer || lane.id === this.referenceTrack) return;
+      const next = polarity === -1 ? -1 : 1;
+      if (next === lane.polarity) return;
+      lane.polarity = next;
+      this._applyActiveTrack();
+      this._updatePolarityUI();
+
+      // Drift is measured against the flipped signal, so re-run it for this lane
+      const ref = this._lane(this.referenceTrack);
+      if (!lane.diffData || !ref || !ref.buffer) return;
+      this._analyzeDrift(lane, ref).then(() => {
+        if (this.isZoomed) this._computeZoomedData();
+        else this._redrawWaveforms();
+      }).catch(e => { if (!e.cancelled) console.error('Drift analysis failed:', e); });
+    }
 
-      // Stop scrub audio
-      this._stopScrubAudio();
+    flipPolarity(track) {
+      const lane = track ? this._lane(track) : this._nudgeLane();
+      if (lane) this.setPolarity(lane.id, -lane.polarity);
+    }
 
-      // Show ghost marker at scrub end position
-      if (!this.isPlaying && this.opts.features.markers && this.lastPlayheadSec > 0) {
-        this._showGhostMarker(this.lastPlayheadSec);
-      }
+    getPolarity(track) {
+      const lane = track ? this._lane(track) : this._nudgeLane();
+      return lane ? lane.polarity : 1;
     }
 
-    _performScrub(e) {
-      const wrapper = this.els.tracksWrapper;
-      const rect = wrapper.getBoundingClientRect();
-      const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-      let viewFrac = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
-      let frac = this._fromViewFrac(viewFrac);
+    // Detected from the correlation vs the reference (independent of any flip applied)
+    isPolarityInverted(track) {
+      const lane = track ? this._lane(track) : this._nudgeLane();
+      return !!(lane && lane.inverted);
+    }
 
-      if (this.opts.restrictRegion) {
-        frac = Math.max(this.loopStart, Math.min(frac, this.loopEnd));
-      }
+    setNullTest(enabled) {
+      if (this.blind || this.isSingleTrack) return; // the residual would reveal which track differs
+      this.nullTest = !!enabled;
+      if (this.isPlaying) this._scheduleSwitch();
+      else this._applyActiveTrack();
+      this._updatePolarityUI();
+    }
 
-      this.seekTo(frac);
+    _updatePolarityUI() {
+      if (this.els.nullBtn) this.els.nullBtn.classList.toggle('active', this.nullTest);
+      const lane = this._nudgeLane();
+      if (this.els.polarityBtn) {
+        const flipped = !!lane && lane.polarity === -1;
+        this.els.polarityBtn.classList.toggle('active', flipped);
+        this.els.polarityBtn.disabled = !lane;
+        this.els.polarityBtn.title = lane
+          ? (flipped ? lane.id + ' polarity flipped (click to restore)' : 'Flip ' + lane.id + ' polarity')
+          : 'Flip polarity';
+      }
+      const note = this.els.polarityNote;
+      if (!note) return;
+      const inverted = this._loadedLanes().filter(l => l.inverted && l.polarity === 1);
+      note.innerHTML = inverted.map(l =>
+        `<span>${l.id} looks polarity-inverted against ${this.referenceTrack}</span>` +
+        `<button class="comp-polarity-fix" data-flip="${l.id}">Flip ${l.id}</button>`).join('');
+    }
 
-      // Play short audio burst while scrubbing (when paused)
-      if (!this.isPlaying) {
-        this._playScrubBurst(frac * this.duration);
+    // ── Source Formats ──
+
+    // Flags tracks whose source files differ in sample rate or format. Playback and
+    // analysis still line up: everything runs at the context rate after decoding.
+    _updateFormatNote() {
+      const note = this.els.formatNote;
+      if (!note) return;
+      const lanes = this._loadedLanes().filter(l => l.format);
+      const rates = new Set(lanes.map(l => l.format.sampleRate).filter(Boolean));
+      const kinds = new Set(lanes.map(l => formatLabel(l.format)));
+      if (lanes.length < 2 || (rates.size < 2 && kinds.size < 2)) {
+        note.textContent = '';
+        return;
       }
+      const list = lanes.map(l => l.id + ' ' + formatLabel(l.format)).join(' · ');
+      const rate = this.ctx ? (this.ctx.sampleRate / 1000).toFixed(this.ctx.sampleRate % 1000 ? 1 : 0) + ' kHz' : '';
+      note.textContent = (rates.size > 1 ? 'Sample rates differ' : 'Formats differ') + ': ' + list +
+        (rates.size > 1 && rate ? ' — compared and played at ' + rate : '');
     }
 
-    _playScrubBurst(sec) {
-      this._stopScrubAudio();
-      if (!this.ctx) return;
+    // ── Edit Points ──
+
+    _renderEditPoints() {
+      const rail = this.els.editRail;
+      if (!rail) return;
+      rail.innerHTML = '';
+      this.editPoints = [];
+      for (const lane of this.tracks) {
+        for (const edit of lane.edits) {
+          if (edit.sec <= 0 || edit.sec >= this.duration) continue;
+          const el = document.createElement('div');
+          el.className = 'comp-edit-point';
+          el.style.setProperty('--comp-lane', this._trackColor(lane.id));
+          const secs = Math.abs(edit.delta).toFixed(2) + ' s';
+          el.textContent = lane.id + ' ' + (edit.delta >= 0 ? '+' : '−') + secs;
+          el.title = lane.id + ': ' + secs + (edit.delta >= 0 ? ' of material added' : ' removed') + ' at ' + fmtTime(edit.sec);
+          el.addEventListener('click', () => this.seekTo(edit.sec / this.duration));
+          rail.appendChild(el);
+          this.editPoints.push({ sec: edit.sec, lane: lane.id, delta: edit.delta, el });
+        }
+      }
+      rail.classList.toggle('has-edits', this.editPoints.length > 0);
+    }
 
-      const buf = (this.activeTrack === 'A') ? this.bufferA : this.bufferB;
-      if (!buf) return;
+    // ── Signal Issues ──
 
-      const aShift = Math.max(0, -this.offsetB);
-      const bShift = Math.max(0, this.offsetB);
-      const shift = (this.activeTrack === 'A') ? aShift : bShift;
+    // After the header stats — one full pass per lane in the worker
+    async _detectIssues(lanes) {
+      try {
+        for (const lane of lanes) {
+          lane.issues = await this.dsp.run('detectIssues', { track: lane.id });
+          this._renderIssues();
+        }
+      } catch (e) {
+        if (!e.cancelled) console.error('Issue detection failed:', e);
+      }
+    }
 
-      this.scrubGain = this.ctx.createGain();
-      this.scrubGain.gain.value = 0.8;
-      this.scrubGain.connect(this.ctx.destination);
+    // Clips, overs and dropouts on the shared timeline (lead-in/tail silence is drawn separately)
+    _issueRegions(lane) {
+      const issues = lane.issues;
+      if (!issues) return [];
+      const at = (kind, r, label) => ({ kind, start: r.start - lane.shift, end: r.end - lane.shift, label });
+      return [
+        ...issues.clips.map(r => at('clip', r, 'clipped, ' + r.samples + ' samples')),
+        ...issues.overs.map(r => at('over', r, 'over, ' + fmtDb(r.peak, 'dBTP'))),
+        ...issues.dropouts.map(r => at('dropout', r, 'dropout, ' + Math.round((r.end - r.start) * 1000) + ' ms')),
+      ].filter(r => r.end > 0 && r.start < this.duration);
+    }
 
-      this.scrubSource = this.ctx.createBufferSource();
-      this.scrubSource.buffer = buf;
-      this.scrubSource.connect(this.scrubGain);
-      this.scrubSource.start(0, sec + shift, 0.08); // 80ms burst
+    _renderIssues() {
+      const rail = this.els.markerRail;
+      for (const flag of this.issueFlags) flag.el.remove();
+      this.issueFlags = [];
+      const lines = [];
+      for (const lane of this._loadedLanes()) {
+        if (!lane.issues) continue;
+        const text = issueSummary(lane.id, lane.issues);
+        if (text) lines.push(text);
+        if (!rail) continue;
+        // One flag per kind per waveform bar — a hot master can have hundreds of overs
+        const last = {};
+        for (const r of this._issueRegions(lane)) {
+          const sec = Math.max(0, r.start);
+          if (last[r.kind] != null && sec - last[r.kind] < this.duration / PEAK_BINS) continue;
+          last[r.kind] = sec;
+          const el = document.createElement('div');
+          el.className = 'comp-issue comp-issue-' + r.kind;
+          el.style.setProperty('--comp-lane', this._trackColor(lane.id));
+          el.textContent = lane.id;
+          el.title = lane.id + ' ' + r.label + ' at ' + fmtTime(sec);
+          el.addEventListener('click', () => this.seekTo(sec / this.duration));
+          rail.appendChild(el);
+          this.issueFlags.push({ sec, el });
+        }
+      }
+      if (this.els.issues) this.els.issues.innerHTML = lines.map(t => `<span>${t}</span>`).join('');
+      this._updateLoopRegion(); // positions the flags + redraws the lanes
+    }
 
-      // Fade out
-      this.scrubGain.gain.setValueAtTime(0.8, this.ctx.currentTime);
-      this.scrubGain.gain.linearRampToValueAtTime(0, this.ctx.currentTime + 0.08);
+    // Clips/overs as full-height ticks, dropouts and lead-in/tail silence as strips along the bottom
+    _drawIssues(ctx, lane, w, h) {
+      const issues = lane.issues;
+      const x = (sec) => this._toViewFrac(sec / this.duration) * w;
+      const strip = (from, to, color) => {
+        const x0 = Math.max(0, x(from)), x1 = Math.min(w, x(to));
+        if (x1 <= x0) return;
+        ctx.fillStyle = color;
+        ctx.fillRect(x0, h - 3, Math.max(2, x1 - x0), 3);
+      };
+      strip(0, issues.leadingSilence - lane.shift, ISSUE_COLORS.silence);
+      strip(lane.buffer.duration - issues.trailingSilence - lane.shift, this.duration, ISSUE_COLORS.silence);
+      for (const r of this._issueRegions(lane)) {
+        if (r.kind === 'dropout') {
+          strip(r.start, r.end, ISSUE_COLORS.dropout);
+          continue;
+        }
+        const x0 = x(r.start);
+        if (x0 < -2 || x0 > w) continue;
+        ctx.fillStyle = ISSUE_COLORS[r.kind];
+        ctx.fillRect(x0, 0, Math.max(1.5, x(r.end) - x0), h);
+      }
+    }
 
-      clearTimeout(this.scrubAudioTimer);
-      this.scrubAudioTimer = setTimeout(() => this._stopScrubAudio(), 100);
+    // ── Export ──
+    //
+    // Renders the loop region offline with the same lane gains playback uses (loudness
+    // trim + polarity). Monitoring mode and the listening filter are left out — the file
+    // is the comparison itself, not the way it's being auditioned.
+
+    // what: a track id, 'null' (reference − `track`, default the compared track) or 'alternate' (each track in turn every `bars` bars)
+    async exportLoop(what, { bars = 4, track = null, download = true } = {}) {
+      if (this.blind || !this.duration) return null;
+      const other = what === 'null' ? (track ? this._lane(track) : this._nudgeLane()) : null;
+      if (what === 'null' && (!other || other.id === this.referenceTrack)) return null;
+      const rendered = await this._renderLoop(what, Math.max(1, Math.round(bars) || 1), other);
+      if (!rendered) return null;
+      // Markers inside the loop ride along as cue points, relative to the file start
+      const ref = this._lane(this.referenceTrack);
+      const origin = this.loopStartSec + (ref ? ref.shift : 0), length = this.loopEndSec - this.loopStartSec;
+      const cues = this._dawItems(false)
+        .filter(it => it.start >= origin && it.start < origin + length)
+        .map(it => Object.assign({}, it, { start: it.start - origin, end: it.end != null ? Math.min(it.end - origin, length) : null }));
+      const blob = new Blob([encodeWav(rendered, cues.length ? wavCueChunks(cues, rendered.sampleRate) : null)], { type: 'audio/wav' });
+      if (download) this._download(blob, (what === 'null' ? 'null-' + other.id : what === 'alternate' ? 'ab-' + bars + 'bar' : what) + '.wav');
+      return blob;
     }
 
-    _stopScrubAudio() {
-      if (this.scrubSource) { try { this.scrubSource.stop(); } catch(e){} this.scrubSource = null; }
-      if (this.scrubGain) { this.scrubGain.disconnect(); this.scrubGain = null; }
-      clearTimeout(this.scrubAudioTimer);
+    _download(blob, suffix) {
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = (this.opts.title || 'comp').replace(/[^\w.-]+/g, '-') + '-' + suffix;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 
-    // ── Markers ──
+    // ── Marker Import / Export ──
+    //
+    // DAW files use reference-track time (the reference placed at the session start),
+    // so timeline positions are offset by its alignment shift on the way out and back in.
+
+    // Markers, plus the loop region when it's narrower than the track, as DAW items
+    _dawItems(withLoop) {
+      const ref = this._lane(this.referenceTrack);
+      const shift = ref ? ref.shift : 0;
+      const items = this.getMarkers().map(m => ({
+        start: m.sec + shift, end: m.end != null ? m.end + shift : null, label: m.label, comment: m.comment, track: m.track,
+      }));
+      if (withLoop !== false && this.loopEndSec - this.loopStartSec < this.duration - 1e-6) {
+        items.push({ start: this.loopStartSec + shift, end: this.loopEndSec + shift, label: DAW_LOOP_NAME });
+      }
+      return items.sort((a, b) => a.start - b.start);
+    }
 
-    _showGhostMarker(sec) {
-      this._removeGhostMarker();
-      const viewFrac = this._toViewFrac(sec / this.duration);
-      const el = document.createElement('div');
-      el.className = 'comp-marker ghost';
-      el.title = 'Click to place';
-      el.style.left = (viewFrac * 100) + '%';
-      el.innerHTML = '<div class="comp-marker-chevron">' + CHEVRON_SVG + '</div>';
-      el.addEventListener('click', () => this._pinMarker(sec));
-      this.els.markerRail.appendChild(el);
-      this.ghostMarker = { sec, el };
+    // format: 'audacity' (label .txt) | 'reaper' (region/marker .csv) | 'midi' (.mid) | 'wav' (reference track + cues)
+    exportMarkers(format, { download = true } = {}) {
+      if (this.blind || !this.duration) return null;
+      const items = this._dawItems();
+      const ref = this._lane(this.referenceTrack);
+      let blob, suffix;
+      switch (format) {
+        case 'audacity':
+          blob = new Blob([fmtAudacityLabels(items)], { type: 'text/plain' });
+          suffix = 'labels.txt';
+          break;
+        case 'reaper':
+          blob = new Blob([fmtReaperCsv(items)], { type: 'text/csv' });
+          suffix = 'markers.csv';
+          break;
+        case 'midi':
+          blob = new Blob([encodeMidiMarkers(items)], { type: 'audio/midi' });
+          suffix = 'markers.mid';
+          break;
+        case 'wav':
+          if (!ref || !ref.buffer) return null;
+          blob = new Blob([encodeWav(ref.buffer, wavCueChunks(items, ref.buffer.sampleRate))], { type: 'audio/wav' });
+          suffix = ref.id + '-markers.wav';
+          break;
+        default:
+          return null;
+      }
+      if (download) this._download(blob, suffix);
+      return blob;
     }
 
-    _removeGhostMarker() {
-      if (this.ghostMarker) {
-        this.ghostMarker.el.remove();
-        this.ghostMarker = null;
+    // source: File / Blob / ArrayBuffer / text; format is detected when omitted
+    // → { markers: added, skipped, loop: whether a 'Loop' region set the loop }
+    async importMarkers(source, format) {
+      if (!this.duration || !source) return null;
+      let buffer;
+      if (typeof source === 'string') buffer = new TextEncoder().encode(source).buffer;
+      else if (source instanceof ArrayBuffer) buffer = source;
+      else buffer = await source.arrayBuffer();
+      format = format || detectMarkerFormat(buffer, source.name);
+      const text = () => new TextDecoder().decode(buffer);
+      const items = format === 'wav' ? parseWavCues(buffer)
+        : format === 'midi' ? parseMidiMarkers(buffer)
+        : format === 'reaper' ? parseReaperCsv(text())
+        : format === 'audacity' ? parseAudacityLabels(text())
+        : [];
+
+      const ref = this._lane(this.referenceTrack);
+      const shift = ref ? ref.shift : 0;
+      const result = { markers: 0, skipped: 0, loop: false };
+      if (!items.length) return result;
+      this._recordEdit('import'); // the whole file undoes as one step
+      this.historyMuted++;
+      try {
+        this._importDawItems(items, shift, result);
+      } finally {
+        this.historyMuted--;
       }
+      return result;
     }
 
-    _pinMarker(sec) {
-      this._removeGhostMarker();
-      const fullFrac = sec / this.duration;
-      const viewFrac = this._toViewFrac(fullFrac);
-      const el = document.createElement('div');
-      el.className = 'comp-marker';
-      el.style.left = (viewFrac * 100) + '%';
-      el.innerHTML = '<div class="comp-marker-chevron">' + CHEVRON_SVG + '</div>';
+    _importDawItems(items, shift, result) {
+      for (const it of items) {
+        const sec = it.start - shift, end = it.end != null ? it.end - shift : null;
+        if (it.name === DAW_LOOP_NAME && end != null && !this.opts.restrictRegion) {
+          const a = Math.max(0, sec), b = Math.min(this.duration, end);
+          if (b > a) {
+            this.loopStart = a / this.duration;
+            this.loopEnd = b / this.duration;
+            this.loopStartSec = a;
+            this.loopEndSec = b;
+            this.setLoopRegion(a, b);
+            this._updateLoopRegion();
+            result.loop = true;
+            continue;
+          }
+        }
+        const fields = parseDawMarkerName(it.name, it.comment);
+        if (this.addMarker(Object.assign(fields, { sec, end }))) result.markers++;
+        else result.skipped++;
+      }
+    }
 
-      // Double-click to remove
-      el.addEventListener('dblclick', () => {
-        el.remove();
-        this.markers = this.markers.filter(m => m.el !== el);
-        if (this.opts.onMarkerRemove) this.opts.onMarkerRemove(sec);
-      });
+    // `other`: the lane a 'null' render subtracts from the reference
+    async _renderLoop(what, bars, other) {
+      const loaded = this._loadedLanes();
+      const ref = this._lane(this.referenceTrack);
+      let lanes, gains;
+      if (what === 'null') {
+        if (!ref || !ref.buffer || !other || !other.buffer) return null;
+        lanes = [ref, other];
+        gains = [this._trimGain(ref.id), -this._trimGain(other.id) * other.polarity];
+      } else if (what === 'alternate') {
+        if (loaded.length < 2) return null;
+        lanes = loaded;
+        gains = lanes.map(l => this._trimGain(l.id) * l.polarity);
+      } else {
+        const lane = this._lane(what);
+        if (!lane || !lane.buffer) return null;
+        lanes = [lane];
+        gains = [this._trimGain(lane.id) * lane.polarity];
+      }
 
-      // Click to seek
-      el.addEventListener('click', () => {
-        this.seekTo(fullFrac);
+      const start = this.loopStartSec, length = this.loopEndSec - this.loopStartSec;
+      const sr = (ref && ref.buffer ? ref : lanes[0]).buffer.sampleRate;
+      const octx = new OfflineAudioContext(2, Math.ceil(length * sr), sr);
+      const switches = what === 'alternate' ? this._exportSwitchTimes(bars) : [];
+      lanes.forEach((lane, i) => {
+        const src = octx.createBufferSource();
+        src.buffer = lane.buffer;
+        const g = octx.createGain();
+        src.connect(g);
+        g.connect(octx.destination);
+        if (what !== 'alternate') {
+          g.gain.value = gains[i];
+        } else {
+          // Segment k belongs to lane k mod n; ramps straddle each switch point
+          const level = k => (k % lanes.length === i ? gains[i] : 0);
+          g.gain.setValueAtTime(level(0), 0);
+          switches.forEach((t, k) => {
+            const at = Math.max(0, t - start - EXPORT_FADE / 2);
+            g.gain.setValueAtTime(level(k), at);
+            g.gain.linearRampToValueAtTime(level(k + 1), at + EXPORT_FADE);
+          });
+        }
+        src.start(0, start + lane.shift, length);
       });
+      return octx.startRendering();
+    }
 
-      this.els.markerRail.appendChild(el);
-      this.markers.push({ sec, el });
-      if (this.opts.onMarkerPlace) this.opts.onMarkerPlace(sec);
+    // Timeline seconds inside the loop where an alternating export changes track
+    _exportSwitchTimes(bars) {
+      const start = this.loopStartSec, end = this.loopEndSec;
+      const times = [];
+      if (this.beatGrid && this.beatGrid.beats.length > 1) {
+        const downbeats = this.beatGrid.beats.filter((t, i) => this._isDownbeatIndex(i) && t >= start && t < end);
+        downbeats.forEach((t, i) => { if (i > 0 && i % bars === 0) times.push(t); });
+      } else {
+        for (let t = start + bars * EXPORT_FALLBACK_BAR; t < end; t += bars * EXPORT_FALLBACK_BAR) times.push(t);
+      }
+      return times;
     }
 
     // ── State Restoration ──
 
     _applyRestoredState() {
       // Active track
-      if (this.opts.activeTrack && this.opts.activeTrack !== 'A') {
-        this.switchTrack(this.opts.activeTrack);
+      if (this.tracks.length && this.activeTrack !== this.tracks[0].id) {
+        this.switchTrack(this.activeTrack);
       }
 
       // Drift map visibility
@@ -958,50 +4673,212 @@ const CompConsole = (() => {
         this._setDriftMapVisible(true);
       }
 
+      // Spectral drift lane
+      if (this.spectralDriftVisible && this.els.spectralBtn) {
+        this._setSpectralDriftVisible(true);
+      }
+
       // Markers
       if (this.opts.markers && this.opts.markers.length && this.els.markerRail) {
-        for (const sec of this.opts.markers) {
-          if (typeof sec === 'number' && sec >= 0 && sec <= this.duration) {
-            this._pinMarker(sec);
-          }
-        }
+        for (const marker of this.opts.markers) this.addMarker(marker); // bare seconds or marker objects
       }
 
+      // Loop cues
+      for (const cue of this.opts.loopCues || []) this._addLoopCue(cue);
+      this._renderLoopCueList();
+
       // Zoom (must come after loop region is already set)
       if (this.isZoomed && this.zoomEnd > this.zoomStart) {
-        const zStartSec = this.zoomStart * this.duration;
-        const zEndSec = this.zoomEnd * this.duration;
-        const aShift = Math.max(0, -this.offsetB);
-        const bShift = Math.max(0, this.offsetB);
-        if (this.bufferA) this.zoomedPeaksA = this._extractZoomedPeaks(this.bufferA, zStartSec + aShift, zEndSec + aShift);
-        if (this.bufferB) this.zoomedPeaksB = this._extractZoomedPeaks(this.bufferB, zStartSec + bShift, zEndSec + bShift);
-
-        if (this.bufferA && this.bufferB) {
-          const result = computeDiffData(this.bufferA, this.bufferB, PEAK_BINS,
-            this.duration, this.offsetB, zStartSec, zEndSec);
-          this.zoomedDiffData = result ? result.data : null;
-        }
-
-        this._updateZoomBtn();
+        this._setView(this.zoomStart, this.zoomEnd, true);
       }
 
       // Playhead position
       if (this.lastPlayheadSec > 0 && this.duration > 0) {
         const viewFrac = this._toViewFrac(this.lastPlayheadSec / this.duration);
         this.els.tracks.classList.add('has-position');
-        this.els.playheadA.style.left = (viewFrac * 100) + '%';
-        this.els.playheadB.style.left = (viewFrac * 100) + '%';
-        this.els.time.textContent = fmtTime(this.lastPlayheadSec) + ' / ' + fmtTime(this.duration);
+        this._positionPlayheads(viewFrac);
+        this.els.time.textContent = this._fmtTime(this.lastPlayheadSec) + ' / ' + this._fmtTime(this.duration);
       }
 
       // Final sync
       this._updateLoopRegion();
+      this.undoStack = []; // restored state is the starting point, not an edit
+      this.redoStack = [];
+
+      // Listening test requested by the host (e.g. a blind comp sent to a recipient)
+      if (this.opts.blindTest && !this.startBlindTest(this.opts.blindTest) && this.opts.onBlindComplete) {
+        this.opts.onBlindComplete(null); // e.g. a track failed to decode — let the host carry on without it
+      }
+    }
+
+    // ── Blind Test ──
+    //
+    // 'blind': every trial shuffles the tracks behind neutral slots 1…N and the listener
+    //          picks the one they prefer. Hits = trials won by the overall favourite.
+    // 'abx':   A and B are known, X is secretly one of them; the listener says which.
+    // ABX reports a one-sided binomial p-value against guessing; blind reports the chance that
+    // guessing yields a favourite this strong (the favourite is only known after the trials).
+
+    // → false when fewer than two of the requested tracks are loaded
+    startBlindTest(options) {
+      const o = Object.assign({ mode: 'blind', trials: 10, tracks: null }, options);
+      const loadedIds = this._loadedLanes().map(l => l.id);
+      const mode = o.mode === 'abx' ? 'abx' : 'blind';
+      let ids = (o.tracks || loadedIds).filter(id => loadedIds.includes(id));
+      if (mode === 'abx') {
+        // Default pair: the reference track against the first other lane
+        if (!o.tracks && ids.includes(this.referenceTrack)) {
+          ids = [this.referenceTrack].concat(ids.filter(id => id !== this.referenceTrack));
+        }
+        ids = ids.slice(0, 2);
+      }
+      if (ids.length < 2) return false;
+
+      this.blind = {
+        mode,
+        ids,
+        total: Math.max(1, Math.floor(o.trials) || 10),
+        trial: 0,
+        mapping: null,   // slot label → lane id for the current trial
+        slot: null,
+        answers: [],
+        restoreDrift: this.driftMapVisible,
+      };
+      this.blindResult = null;
+      if (this.driftMapVisible && this.els.driftBtn) this._setDriftMapVisible(false);
+      if (this.nullTest) this.setNullTest(false);
+      this.container.classList.add('comp-blind');
+      this._nextBlindTrial();
+      return true;
+    }
+
+    cancelBlindTest() {
+      this._exitBlindTest();
+    }
+
+    getBlindResult() {
+      return this.blindResult;
+    }
+
+    _nextBlindTrial() {
+      const b = this.blind;
+      if (b.mode === 'abx') {
+        b.mapping = { A: b.ids[0], B: b.ids[1], X: b.ids[Math.random() < 0.5 ? 0 : 1] };
+      } else {
+        b.mapping = {};
+        shuffle(b.ids.slice()).forEach((id, i) => { b.mapping[String(i + 1)] = id; });
+      }
+      this._selectBlindSlot(Object.keys(b.mapping)[0]);
+    }
+
+    _selectBlindSlot(slot) {
+      const b = this.blind;
+      if (!b || !b.mapping || !b.mapping[slot]) return;
+      b.slot = slot;
+      this.switchTrack(b.mapping[slot]);
+      this._renderBlindPanel();
+    }
+
+    _answerBlind(slot) {
+      const b = this.blind;
+      if (!b || !b.mapping || !b.mapping[slot]) return;
+      if (b.mode === 'abx') {
+        b.answers.push({ trial: b.trial + 1, x: b.mapping.X, answer: b.mapping[slot], correct: b.mapping[slot] === b.mapping.X });
+      } else {
+        b.answers.push({ trial: b.trial + 1, order: Object.values(b.mapping), choice: b.mapping[slot] });
+      }
+      b.trial++;
+      if (b.trial >= b.total) this._finishBlindTest();
+      else this._nextBlindTrial();
+    }
+
+    _summarizeBlind() {
+      const b = this.blind;
+      const total = b.answers.length;
+      const result = { mode: b.mode, tracks: b.ids.slice(), total, trials: b.answers.slice() };
+      if (b.mode === 'abx') {
+        result.hits = b.answers.filter(a => a.correct).length;
+        result.pValue = binomialTail(result.hits, total, 0.5);
+      } else {
+        const counts = {};
+        for (const id of b.ids) counts[id] = 0;
+        for (const a of b.answers) counts[a.choice]++;
+        const top = Math.max(...b.ids.map(id => counts[id]));
+        const leaders = b.ids.filter(id => counts[id] === top);
+        result.counts = counts;
+        result.preferred = leaders.length === 1 ? leaders[0] : null; // a tie is no preference
+        result.hits = top;
+        result.pValue = maxCountTail(top, total, b.ids.length);
+      }
+      result.hitRate = total ? result.hits / total : 0;
+      result.confidence = 1 - result.pValue;
+      return result;
+    }
+
+    _finishBlindTest() {
+      this.blindResult = this._summarizeBlind();
+      this.blind.mapping = null;
+      this.blind.slot = null;
+      this._renderBlindPanel();
+      if (this.opts.onBlindComplete) this.opts.onBlindComplete(this.blindResult);
+    }
+
+    _exitBlindTest() {
+      if (!this.blind) return;
+      const restoreDrift = this.blind.restoreDrift;
+      this.blind = null;
+      this.container.classList.remove('comp-blind');
+      this._renderBlindPanel();
+      if (restoreDrift && this.els.driftBtn) this._setDriftMapVisible(true);
+      this.switchTrack(this.activeTrack); // restore lane colors + highlight
+    }
+
+    _renderBlindPanel() {
+      const panel = this.els.blindPanel;
+      if (!panel) return;
+      const b = this.blind;
+      if (!b) { panel.innerHTML = ''; return; }
+
+      let html = '';
+      if (b.mapping) {
+        html += `<span class="comp-blind-progress">${b.mode === 'abx' ? 'ABX' : 'Blind'} · ${b.trial + 1} / ${b.total}</span>`;
+        html += '<div class="comp-blind-slots">';
+        for (const slot of Object.keys(b.mapping)) {
+          html += `<button class="comp-blind-slot${slot === b.slot ? ' active' : ''}" data-slot="${slot}">${slot}</button>`;
+        }
+        html += '</div>';
+        html += '<div class="comp-blind-answers">';
+        if (b.mode === 'abx') {
+          html += '<button class="comp-at-btn" data-answer="A">X is A</button>';
+          html += '<button class="comp-at-btn" data-answer="B">X is B</button>';
+        } else {
+          for (const slot of Object.keys(b.mapping)) {
+            html += `<button class="comp-at-btn" data-answer="${slot}">Prefer ${slot}</button>`;
+          }
+        }
+        html += '</div>';
+      } else {
+        const r = this.blindResult;
+        const pct = Math.round(r.hitRate * 100);
+        const conf = Math.round(r.confidence * 100);
+        if (r.mode === 'abx') {
+          html += `<span class="comp-blind-result">${r.hits} / ${r.total} correct (${pct}%) · p = ${r.pValue.toFixed(3)} · ${conf}% confidence</span>`;
+        } else {
+          const lane = r.preferred && this._lane(r.preferred);
+          const name = r.preferred + (lane && lane.label ? ' (' + escapeHtml(lane.label) + ')' : '');
+          html += r.preferred
+            ? `<span class="comp-blind-result">Preferred ${name} in ${r.hits} / ${r.total} trials · p = ${r.pValue.toFixed(3)} · ${conf}% confidence</span>`
+            : `<span class="comp-blind-result">No preference — tied at ${r.hits} / ${r.total} trials</span>`;
+        }
+        html += '<button class="comp-at-btn" data-action="done">Done</button>';
+      }
+      panel.innerHTML = html;
     }
 
     // ── Waveform Drawing ──
 
-    _drawWaveform(canvas, peaks, track) {
-      if (!canvas || !peaks) return;
+    _drawWaveform(canvas, lane) {
+      if (!canvas || !lane.pyramid) return;
       const ctx = canvas.getContext('2d');
       const dpr = window.devicePixelRatio || 1;
       const rect = canvas.getBoundingClientRect();
@@ -1012,27 +4889,17 @@ const CompConsole = (() => {
 
       const w = rect.width;
       const h = rect.height;
-      const numBars = peaks.length;
-      const barW = Math.max(1, (w / numBars) - 1);
+      // One bar per WAVE_BAR_PX device pixels, read from the pyramid for the visible window
+      const numBars = Math.max(1, Math.floor(w * dpr / WAVE_BAR_PX));
+      const peaks = this._lanePeaks(lane, numBars);
+      const barW = Math.max(1 / dpr, (w / numBars) - 1 / dpr);
       const gap = (w - barW * numBars) / numBars;
-      const isActive = this.activeTrack === track;
+      // Never highlight the playing lane during a blind test — lane order would give it away
+      const isActive = this.activeTrack === lane.id && !this.blind;
 
-      // Colors from CSS vars
-      const styles = getComputedStyle(this.container);
-      const accent = styles.getPropertyValue('--comp-accent').trim() || '#2dd4bf';
-      const trackB = styles.getPropertyValue('--comp-track-b').trim() || '#f472b6';
-      const baseColor = track === 'A' ? accent : trackB;
+      // Colors from CSS vars (per-lane --comp-lane)
+      const baseColor = this._trackColor(lane.id);
 
-      // Parse base color for alpha manipulation
-      const parseColor = (c) => {
-        // Handle rgb/rgba
-        const rgbMatch = c.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
-        if (rgbMatch) return { r: +rgbMatch[1], g: +rgbMatch[2], b: +rgbMatch[3] };
-        // Handle hex
-        const hex = c.replace('#', '');
-        if (hex.length === 6) return { r: parseInt(hex.slice(0,2),16), g: parseInt(hex.slice(2,4),16), b: parseInt(hex.slice(4,6),16) };
-        return { r: 45, g: 212, b: 191 };
-      };
       const { r, g, b } = parseColor(baseColor);
 
       const activeColor = `rgba(${r},${g},${b},0.7)`;
@@ -1040,28 +4907,24 @@ const CompConsole = (() => {
       const inactiveColor = 'rgba(232,232,236,0.15)';
 
       // Drift map colors — cross-color: highlight diffs with the OTHER track's color
-      const otherColor = track === 'A' ? trackB : accent;
-      const { r: or, g: og, b: ob } = parseColor(otherColor);
+      const diffLane = this._diffLaneFor(lane);
+      const otherId = lane.id === this.referenceTrack ? (diffLane ? diffLane.id : lane.id) : this.referenceTrack;
+      const { r: or, g: og, b: ob } = parseColor(this._trackColor(otherId));
       // Threshold: fraction of the full-track max RMS. Below this = normal coloring.
-      // Must be high enough to reject MP3 codec artifacts (~0.15-0.40 of max)
-      // but low enough to catch real differences (word changes, mix changes).
-      const diffThreshold = 0.5;
-      const diffScale = this.diffMax || 1; // raw RMS max from full-track analysis
+      const diffThreshold = DIFF_THRESHOLD;
+      const diffScale = (diffLane && diffLane.diffMax) || 1; // raw RMS max from full-track analysis
 
-      // Diff data — use zoomed version when available
-      const activeDiff = (this.isZoomed && this.zoomedDiffData) ? this.zoomedDiffData : this.diffData;
+      // Diff data — the zoomed recompute once it lands, the full-track bins until then
+      const zoomedDiff = diffLane && this.isZoomed ? diffLane.zoomedDiffData : null;
+      const fullDiff = diffLane ? diffLane.diffData : null;
 
       for (let i = 0; i < numBars; i++) {
         const x = i * (barW + gap);
         const viewFrac = i / numBars;  // fraction within the viewport (0-1)
         const fullFrac = this._fromViewFrac(viewFrac); // fraction within full duration
 
-        // Peaks are already aligned — srcBin = display bin
-        const srcBin = i;
-        if (srcBin < 0 || srcBin >= numBars) continue;
-
         const inLoop = fullFrac >= this.loopStart && fullFrac <= this.loopEnd;
-        const barH = Math.max(2, peaks[srcBin] * h * 0.9);
+        const barH = Math.max(2, peaks[i] * h * 0.9);
         const y = (h - barH) / 2;
 
         // Normal color first (used in both modes for non-diff bars)
@@ -1072,9 +4935,11 @@ const CompConsole = (() => {
         else if (inLoop) barColor = inactiveColor;
         else barColor = dimColor;
 
-        if (this.driftMapVisible && activeDiff) {
+        if (this.driftMapVisible && fullDiff) {
           // Drift Map mode — normalize raw RMS against the full-track max
-          const rawDiff = activeDiff[srcBin] || 0;
+          const rawDiff = (zoomedDiff
+            ? zoomedDiff[Math.floor(viewFrac * zoomedDiff.length)]
+            : fullDiff[Math.min(fullDiff.length - 1, Math.floor(fullFrac * fullDiff.length))]) || 0;
           const normalized = diffScale > 0 ? rawDiff / diffScale : 0;
           if (normalized > diffThreshold) {
             const intensity = (normalized - diffThreshold) / (1 - diffThreshold);
@@ -1094,8 +4959,6 @@ const CompConsole = (() => {
       // Beat grid overlay
       if (this.beatGridVisible && this.beatGrid) {
         const beats = this.beatGrid.beats;
-        const beatsPerBar = this.beatGrid.beatsPerBar;
-        const firstDownbeat = this.beatGrid.firstDownbeat;
 
         for (let bi = 0; bi < beats.length; bi++) {
           const t = beats[bi];
@@ -1103,9 +4966,7 @@ const CompConsole = (() => {
           const viewX = this._toViewFrac(beatFrac) * w;
           if (viewX < 0 || viewX > w) continue;
 
-          // Determine if downbeat
-          const beatInBar = Math.round((t - firstDownbeat) / (60 / this.beatGrid.bpm)) % beatsPerBar;
-          const isDownbeat = (beatInBar === 0);
+          const isDownbeat = this._isDownbeatIndex(bi);
 
           ctx.beginPath();
           if (isDownbeat) {
@@ -1122,9 +4983,12 @@ const CompConsole = (() => {
           ctx.stroke();
         }
       }
+
+      // Signal issues (hidden in a blind test alongside the rest of the analysis)
+      if (lane.issues && !this.blind) this._drawIssues(ctx, lane, w, h);
     }
 
-    _drawRandomWaveform(canvas, track) {
+    _drawRandomWaveform(canvas, lane) {
       if (!canvas) return;
       const ctx = canvas.getContext('2d');
       const dpr = window.devicePixelRatio || 1;
@@ -1140,37 +5004,198 @@ const CompConsole = (() => {
       const barW = Math.max(1, (w / numBars) - 1);
       const gap = (w - barW * numBars) / numBars;
 
-      const styles = getComputedStyle(this.container);
-      const accent = styles.getPropertyValue('--comp-accent').trim() || '#2dd4bf';
-      const trackBColor = styles.getPropertyValue('--comp-track-b').trim() || '#f472b6';
-      const parseColor = (c) => {
-        const rgbMatch = c.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
-        if (rgbMatch) return { r: +rgbMatch[1], g: +rgbMatch[2], b: +rgbMatch[3] };
-        const hex = c.replace('#', '');
-        if (hex.length === 6) return { r: parseInt(hex.slice(0,2),16), g: parseInt(hex.slice(2,4),16), b: parseInt(hex.slice(4,6),16) };
-        return { r: 45, g: 212, b: 191 };
-      };
-      const { r, g, b } = parseColor(track === 'A' ? accent : trackBColor);
-      const color = `rgba(${r},${g},${b},0.15)`;
+      const parseColor = (c) => {
+        const rgbMatch = c.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
+        if (rgbMatch) return { r: +rgbMatch[1], g: +rgbMatch[2], b: +rgbMatch[3] };
+        const hex = c.replace('#', '');
+        if (hex.length === 6) return { r: parseInt(hex.slice(0,2),16), g: parseInt(hex.slice(2,4),16), b: parseInt(hex.slice(4,6),16) };
+        return { r: 45, g: 212, b: 191 };
+      };
+      const { r, g, b } = parseColor(this._trackColor(lane.id));
+      const color = `rgba(${r},${g},${b},0.15)`;
+
+      for (let i = 0; i < numBars; i++) {
+        const x = i * (barW + gap);
+        const barH = (0.3 + Math.random() * 0.65) * h * 0.8;
+        const y = (h - barH) / 2;
+        ctx.fillStyle = color;
+        ctx.fillRect(x, y, barW, barH);
+      }
+    }
+
+    _redrawWaveforms() {
+      for (const lane of this.tracks) {
+        if (lane.pyramid) this._drawWaveform(lane.els.canvas, lane);
+        else this._drawRandomWaveform(lane.els.canvas, lane);
+        if (this.spectrogram !== 'off') this._drawSpectrogram(lane);
+      }
+      if (this.spectralDriftVisible) this._drawSpectralDrift();
+      if (this.beatGridVisible) this._drawRuler();
+    }
+
+    // ── Bar Ruler ──
+
+    _updateRuler() {
+      if (!this.els.ruler) return;
+      const on = this.beatGridVisible && !!this.beatGrid;
+      this.els.ruler.classList.toggle('visible', on);
+      this.els.tracksArea.classList.toggle('with-ruler', on);
+      if (on) this._drawRuler();
+    }
+
+    // Bar numbers at downbeats, ticks at beats, meter + tempo where a section starts
+    _drawRuler() {
+      const canvas = this.els.rulerCanvas;
+      const grid = this.beatGrid;
+      if (!canvas || !grid || !this.duration) return;
+      const ctx = canvas.getContext('2d');
+      const dpr = window.devicePixelRatio || 1;
+      const rect = canvas.getBoundingClientRect();
+      canvas.width = rect.width * dpr;
+      canvas.height = rect.height * dpr;
+      ctx.scale(dpr, dpr);
+      ctx.clearRect(0, 0, rect.width, rect.height);
+
+      const w = rect.width;
+      const h = rect.height;
+      const beats = grid.beats;
+      const bpb = grid.beatsPerBar;
+      const xOf = (t) => this._toViewFrac(t / this.duration) * w;
+
+      // Label every Nth bar so numbers never crowd (N = 1, 2, 4, 8…)
+      const viewSec = (this.isZoomed ? this.zoomEnd - this.zoomStart : 1) * this.duration;
+      const barPx = w * (60 * bpb / (grid.bpm || 120)) / viewSec;
+      let every = 1;
+      while (barPx * every < 28) every *= 2;
+      const beatTicks = barPx / bpb >= 5;
+
+      // Tempo-map sections, keyed by the bar they start on
+      const sections = new Map(grid.tempoMap.map((s, i) => [s.bar, (i === 0 ? bpb + ' beats/bar  ' : '') + '\u2669' + Math.round(s.bpm)]));
+
+      ctx.font = '9px ' + (getComputedStyle(this.container).getPropertyValue('--comp-font-mono').trim() || 'monospace');
+      ctx.textBaseline = 'top';
+      for (let i = 0; i < beats.length; i++) {
+        const x = xOf(beats[i]);
+        if (x < -40 || x > w) continue;
+        if (!this._isDownbeatIndex(i)) {
+          if (!beatTicks) continue;
+          ctx.fillStyle = 'rgba(255,255,255,0.18)';
+          ctx.fillRect(x, h - 4, 1, 4);
+          continue;
+        }
+        const bar = (i - grid.downbeatIndex) / bpb + 1;
+        ctx.fillStyle = 'rgba(255,255,255,0.4)';
+        ctx.fillRect(x, h - 8, 1, 8);
+        const section = sections.get(bar);
+        if (section) {
+          ctx.fillStyle = '#facc15';
+          ctx.fillText((bar > 0 && (bar - 1) % every === 0 ? bar + '  ' : '') + section, x + 3, 1);
+        } else if (bar > 0 && (bar - 1) % every === 0) {
+          ctx.fillStyle = 'rgba(255,255,255,0.55)';
+          ctx.fillText(String(bar), x + 3, 1);
+        }
+      }
+    }
+
+    _handleRulerClick(e) {
+      if (!this.beatGrid || !this.duration) return;
+      const rect = this.els.rulerCanvas.getBoundingClientRect();
+      const viewFrac = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+      // Jump to the nearest bar line
+      const sec = this._fromViewFrac(viewFrac) * this.duration;
+      let best = sec, dist = Infinity;
+      this.beatGrid.beats.forEach((t, i) => {
+        if (this._isDownbeatIndex(i) && Math.abs(t - sec) < dist) { dist = Math.abs(t - sec); best = t; }
+      });
+      this.seekTo(best / this.duration);
+    }
+
+    // ── Spectral Drift ──
+
+    // Lane whose spectral drift the heatmap shows (follows the active track, like the drift map)
+    _spectralLane() {
+      const active = this._lane(this.activeTrack);
+      const lane = active && this._diffLaneFor(active);
+      return lane && lane.spectral ? lane : null;
+    }
+
+    // Normalized heat (0-1) of one cell, against the full-track per-band max
+    _spectralHeat(spec, full, bin, band) {
+      const numBands = full.bands.length;
+      // Floor the scale so a band with only codec noise doesn't light up at full strength
+      const loudest = Math.max(...full.bandMax);
+      const scale = Math.max(full.bandMax[band], loudest * 0.02);
+      return scale > 0 ? Math.min(1, spec.data[bin * numBands + band] / scale) : 0;
+    }
+
+    _drawSpectralDrift() {
+      const canvas = this.els.spectralCanvas;
+      if (!canvas) return;
+      const ctx = canvas.getContext('2d');
+      const dpr = window.devicePixelRatio || 1;
+      const rect = canvas.getBoundingClientRect();
+      canvas.width = rect.width * dpr;
+      canvas.height = rect.height * dpr;
+      ctx.scale(dpr, dpr);
+      ctx.clearRect(0, 0, rect.width, rect.height);
+
+      const lane = this._spectralLane();
+      if (this.els.spectralLabel) {
+        this.els.spectralLabel.textContent = lane ? lane.id + ' vs ' + this.referenceTrack : '';
+      }
+      if (!lane) return;
+
+      const full = lane.spectral;
+      const spec = this.isZoomed ? lane.zoomedSpectral : full;
+      if (!spec) return;
+      const numBands = full.bands.length;
+      const numBins = spec.data.length / numBands;
+      const w = rect.width;
+      const h = rect.height;
+      const cellW = w / numBins;
+      const cellH = h / numBands;
+      // Heat in the compared lane's color, dimmed outside the loop
+      const { r, g, b } = parseColor(this._trackColor(lane.id));
 
-      for (let i = 0; i < numBars; i++) {
-        const x = i * (barW + gap);
-        const barH = (0.3 + Math.random() * 0.65) * h * 0.8;
-        const y = (h - barH) / 2;
-        ctx.fillStyle = color;
-        ctx.fillRect(x, y, barW, barH);
+      for (let i = 0; i < numBins; i++) {
+        const fullFrac = this._fromViewFrac(i / numBins);
+        const inLoop = fullFrac >= this.loopStart && fullFrac <= this.loopEnd;
+        for (let k = 0; k < numBands; k++) {
+          const heat = this._spectralHeat(spec, full, i, k);
+          if (heat < 0.05) continue;
+          const alpha = (0.06 + 0.84 * heat * heat) * (inLoop ? 1 : 0.35);
+          ctx.fillStyle = `rgba(${r},${g},${b},${alpha.toFixed(3)})`;
+          // Lowest band at the bottom
+          ctx.fillRect(i * cellW, h - (k + 1) * cellH, Math.ceil(cellW), Math.ceil(cellH));
+        }
       }
     }
 
-    _redrawWaveforms() {
-      const pA = (this.isZoomed && this.zoomedPeaksA) ? this.zoomedPeaksA : this.peaksA;
-      const pB = (this.isZoomed && this.zoomedPeaksB) ? this.zoomedPeaksB : this.peaksB;
-      if (pA) this._drawWaveform(this.els.canvasA, pA, 'A');
-      else this._drawRandomWaveform(this.els.canvasA, 'A');
-      if (!this.isSingleTrack) {
-        if (pB) this._drawWaveform(this.els.canvasB, pB, 'B');
-        else this._drawRandomWaveform(this.els.canvasB, 'B');
-      }
+    _setSpectralDriftVisible(visible) {
+      if (this.blind) return; // heatmap label names the compared tracks
+      this.spectralDriftVisible = visible;
+      if (this.els.spectralBtn) this.els.spectralBtn.classList.toggle('active', visible);
+      if (this.els.spectralLane) this.els.spectralLane.classList.toggle('visible', visible);
+      this._drawSpectralDrift();
+    }
+
+    // Click a hot cell to loop + zoom around it; anywhere else just seeks
+    _handleSpectralClick(e) {
+      const lane = this._spectralLane();
+      if (!lane) return;
+      const rect = this.els.spectralCanvas.getBoundingClientRect();
+      const viewFrac = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+      const full = lane.spectral;
+      const spec = this.isZoomed ? lane.zoomedSpectral : full;
+      if (!spec) return;
+      const numBands = full.bands.length;
+      const numBins = spec.data.length / numBands;
+      const bin = Math.min(numBins - 1, Math.floor(viewFrac * numBins));
+      const band = Math.min(numBands - 1, Math.floor((1 - (e.clientY - rect.top) / rect.height) * numBands));
+      const hot = band >= 0 && this._spectralHeat(spec, full, bin, band) > 0.5;
+      if (hot && this.opts.restrictRegion) this._showFrozenToast();
+      else if (hot) this._zoomToDiffRegion(viewFrac);
+      else this.seekTo(this._fromViewFrac(viewFrac));
     }
 
     // ── Playhead ──
@@ -1182,9 +5207,9 @@ const CompConsole = (() => {
       const fullFrac = sec / this.duration;
       const viewFrac = this._toViewFrac(fullFrac);
 
-      this.els.playheadA.style.left = (viewFrac * 100) + '%';
-      this.els.playheadB.style.left = (viewFrac * 100) + '%';
-      this.els.time.textContent = fmtTime(sec) + ' / ' + fmtTime(this.duration);
+      this._positionPlayheads(viewFrac);
+      this.els.time.textContent = this._fmtTime(sec) + ' / ' + this._fmtTime(this.duration);
+      this._updateMeters();
 
       this.animFrame = requestAnimationFrame(() => this._updatePlayhead());
     }
@@ -1209,10 +5234,10 @@ const CompConsole = (() => {
       const leftPct = (Math.max(0, viewLeft) * 100) + '%';
       const rightPct = ((1 - Math.min(1, viewRight)) * 100) + '%';
 
-      this.els.dimLeftA.style.width = leftPct;
-      this.els.dimLeftB.style.width = leftPct;
-      this.els.dimRightA.style.width = rightPct;
-      this.els.dimRightB.style.width = rightPct;
+      for (const lane of this.tracks) {
+        lane.els.dimLeft.style.width = leftPct;
+        lane.els.dimRight.style.width = rightPct;
+      }
 
       this.els.handleLeft.style.left = (Math.max(0, viewLeft) * 100) + '%';
       this.els.handleRight.style.left = (Math.min(1, viewRight) * 100) + '%';
@@ -1228,20 +5253,21 @@ const CompConsole = (() => {
 
       // Timeline labels — show zoomed range when zoomed
       if (this.isZoomed) {
-        this.els.timeStart.textContent = fmtTime(this.zoomStart * this.duration);
-        this.els.timeEnd.textContent = fmtTime(this.zoomEnd * this.duration);
+        this.els.timeStart.textContent = this._fmtTime(this.zoomStart * this.duration);
+        this.els.timeEnd.textContent = this._fmtTime(this.zoomEnd * this.duration);
       } else {
-        this.els.timeStart.textContent = '0:00';
-        this.els.timeEnd.textContent = fmtTime(this.duration);
+        this.els.timeStart.textContent = this._fmtTime(0);
+        this.els.timeEnd.textContent = this._fmtTime(this.duration);
       }
-      this.els.loopStartTime.textContent = fmtTime(this.loopStart * this.duration);
-      this.els.loopEndTime.textContent = fmtTime(this.loopEnd * this.duration);
+      this.els.loopStartTime.textContent = this._fmtTime(this.loopStart * this.duration);
+      this.els.loopEndTime.textContent = this._fmtTime(this.loopEnd * this.duration);
 
       // Update markers positions
-      for (const m of this.markers) {
-        const mFrac = this._toViewFrac(m.sec / this.duration);
-        m.el.style.left = (mFrac * 100) + '%';
-        m.el.style.display = (mFrac < -0.01 || mFrac > 1.01) ? 'none' : '';
+      this._positionMarkers();
+      for (const p of this.editPoints.concat(this.issueFlags)) {
+        const pFrac = this._toViewFrac(p.sec / this.duration);
+        p.el.style.left = (pFrac * 100) + '%';
+        p.el.style.display = (pFrac < -0.01 || pFrac > 1.01) ? 'none' : '';
       }
       if (this.ghostMarker) {
         const gFrac = this._toViewFrac(this.ghostMarker.sec / this.duration);
@@ -1250,6 +5276,7 @@ const CompConsole = (() => {
       }
 
       this._redrawWaveforms();
+      this._drawMinimap();
     }
 
     // ── Zoom ──
@@ -1268,54 +5295,81 @@ const CompConsole = (() => {
       return this.zoomStart + viewFrac * (this.zoomEnd - this.zoomStart);
     }
 
-    _extractZoomedPeaks(buffer, startSec, endSec) {
-      // Extract peaks for a time region (in seconds within the aligned timeline)
-      if (!buffer) return null;
-      return extractPeaks(buffer, PEAK_BINS, startSec, endSec);
+    // Peaks for the visible window of one lane (timeline sec + lane.shift = buffer sec)
+    _lanePeaks(lane, numBins) {
+      const zs = this.isZoomed ? this.zoomStart : 0;
+      const ze = this.isZoomed ? this.zoomEnd : 1;
+      return peaksFromPyramid(lane.pyramid, zs * this.duration + lane.shift, ze * this.duration + lane.shift, numBins);
     }
 
-    _zoomToLoop() {
+    // Narrowest view as a fraction of the track
+    _minViewRange() {
+      const lane = this._loadedLanes()[0];
+      const sr = lane ? lane.buffer.sampleRate : 44100;
+      return this.duration ? Math.min(1, ZOOM_MIN_SAMPLES / (sr * this.duration)) : 1;
+    }
+
+    // Show [start, end) of the track (fractions). Waveforms redraw from the pyramids right
+    // away; zoomed drift is recomputed once the view settles (or now, when `immediate`).
+    _setView(start, end, immediate) {
+      this._recordEdit('view');
+      const range = Math.min(1, Math.max(this._minViewRange(), end - start));
+      start = Math.max(0, Math.min(1 - range, start));
+      this.isZoomed = range < 1;
+      this.zoomStart = this.isZoomed ? start : 0;
+      this.zoomEnd = this.isZoomed ? start + range : 1;
+      this.zoomToken++; // drops drift results for the previous view
+      for (const lane of this.tracks) {
+        lane.zoomedDiffData = null;
+        lane.zoomedSpectral = null;
+      }
+      clearTimeout(this.zoomTimer);
       if (this.isZoomed) {
-        this._unzoom();
-        return;
+        if (immediate) this._computeZoomedData();
+        else this.zoomTimer = setTimeout(() => this._computeZoomedData(), 150);
       }
-      // Need a meaningful loop region to zoom into
-      if (this.loopEnd - this.loopStart < 0.02) return;
-
-      this.zoomStart = this.loopStart;
-      this.zoomEnd = this.loopEnd;
-      this.isZoomed = true;
+      // NOTE: lanes keep diffMax from the full-track computation so zoom uses the same scale
+      this._scheduleSpectrograms(immediate ? 0 : null);
+      this._updateZoomBtn();
+      this._updateLoopRegion();
+    }
 
-      // Re-extract peaks at higher resolution for the zoomed region (with alignment shifts)
+    // Re-run drift at higher resolution for the zoomed region (with alignment shifts)
+    _computeZoomedData() {
       const zStartSec = this.zoomStart * this.duration;
       const zEndSec = this.zoomEnd * this.duration;
-      const aShift = Math.max(0, -this.offsetB);
-      const bShift = Math.max(0, this.offsetB);
-      if (this.bufferA) this.zoomedPeaksA = this._extractZoomedPeaks(this.bufferA, zStartSec + aShift, zEndSec + aShift);
-      if (this.bufferB) this.zoomedPeaksB = this._extractZoomedPeaks(this.bufferB, zStartSec + bShift, zEndSec + bShift);
-
-      // Recompute diff data for zoomed region from raw PCM (convert fractions to seconds)
-      if (this.bufferA && this.bufferB) {
-        const result = computeDiffData(this.bufferA, this.bufferB, PEAK_BINS,
-          this.duration, this.offsetB,
-          this.zoomStart * this.duration, this.zoomEnd * this.duration);
-        this.zoomedDiffData = result ? result.data : null;
-        // NOTE: we keep this.diffMax from the full-track computation so zoom uses the same scale
+      const ref = this._lane(this.referenceTrack);
+      const token = ++this.zoomToken;
+      for (const lane of this._loadedLanes()) {
+        lane.zoomedDiffData = null;
+        lane.zoomedSpectral = null;
+        // Recompute diff data for zoomed region from raw PCM (in the worker; drawn when it lands)
+        if (!lane.diffData || !ref || !ref.buffer) continue;
+        const args = [{ track: ref.id }, { track: lane.id }, PEAK_BINS, this.duration, ref.shift, lane.shift, zStartSec, zEndSec, this.channelView, lane.polarity];
+        Promise.all([
+          this.dsp.run('computeDiffData', ...args),
+          lane.spectral ? this.dsp.run('computeSpectralDiff', ...args) : null,
+        ]).then(([result, spectral]) => {
+          if (token !== this.zoomToken || !this.isZoomed) return; // zoom moved on
+          lane.zoomedDiffData = result ? result.data : null;
+          lane.zoomedSpectral = spectral;
+          this._redrawWaveforms();
+        }).catch(e => { if (!e.cancelled) console.error('Zoomed drift analysis failed:', e); });
       }
+    }
 
-      this._updateZoomBtn();
-      this._updateLoopRegion();
+    _zoomToLoop() {
+      if (this.isZoomed) {
+        this._unzoom();
+        return;
+      }
+      // Need a loop region to zoom into (the whole track is already in view)
+      if (this.loopEnd - this.loopStart >= 1) return;
+      this._setView(this.loopStart, this.loopEnd, true);
     }
 
     _unzoom() {
-      this.isZoomed = false;
-      this.zoomStart = 0;
-      this.zoomEnd = 1;
-      this.zoomedPeaksA = null;
-      this.zoomedPeaksB = null;
-      this.zoomedDiffData = null;
-      this._updateZoomBtn();
-      this._updateLoopRegion();
+      this._setView(0, 1);
     }
 
     _zoomToDiffRegion(viewFrac) {
@@ -1324,8 +5378,13 @@ const CompConsole = (() => {
       const fullFrac = this._fromViewFrac(viewFrac);
       const sec = fullFrac * this.duration;
       const padding = 2; // seconds on each side
-      const startSec = Math.max(0, sec - padding);
-      const endSec = Math.min(this.duration, sec + padding);
+      this._loopAndZoom(sec - padding, sec + padding);
+    }
+
+    _loopAndZoom(startSec, endSec) {
+      startSec = Math.max(0, startSec);
+      endSec = Math.min(this.duration, endSec);
+      this._recordEdit('view'); // one step with the zoom below
 
       // Set loop to this region
       this.loopStart = startSec / this.duration;
@@ -1335,8 +5394,167 @@ const CompConsole = (() => {
       this.setLoopRegion(startSec, endSec);
 
       // Now zoom to it
-      this.isZoomed = false; // reset first so _zoomToLoop picks up new loop
-      this._zoomToLoop();
+      this._setView(this.loopStart, this.loopEnd, true);
+    }
+
+    // ── Difference Regions ──
+    //
+    // The drift map's hot runs as a ranked list; N / Shift+N loop + zoom to each in turn.
+
+    // Lane the list describes: the same one the drift map overlays on the reference
+    _diffRegionLane() {
+      const ref = this._lane(this.referenceTrack);
+      return ref ? this._diffLaneFor(ref) : null;
+    }
+
+    // → [{ start, end, level }] biggest first (level = dBFS of the difference signal)
+    getDiffRegions(track) {
+      const lane = track ? this._lane(track) : this._diffRegionLane();
+      return lane ? lane.diffRegions.map(({ start, end, level }) => ({ start, end, level })) : [];
+    }
+
+    goToDiffRegion(index) {
+      const lane = this._diffRegionLane();
+      const regions = lane ? lane.diffRegions : [];
+      if (!regions.length) return;
+      if (this.opts.restrictRegion) {
+        this._showFrozenToast();
+        return;
+      }
+      this.diffRegionIndex = ((index % regions.length) + regions.length) % regions.length;
+      const r = regions[this.diffRegionIndex];
+      this._loopAndZoom(r.start - DIFF_REGION_PAD, r.end + DIFF_REGION_PAD);
+      this.seekTo(this.loopStart);
+      this._renderDiffList();
+    }
+
+    nextDiffRegion() {
+      this.goToDiffRegion(this.diffRegionIndex + 1);
+    }
+
+    prevDiffRegion() {
+      this.goToDiffRegion(this.diffRegionIndex < 0 ? -1 : this.diffRegionIndex - 1);
+    }
+
+    _renderDiffList() {
+      const list = this.els.diffList;
+      if (!list) return;
+      const lane = this._diffRegionLane();
+      const regions = lane ? lane.diffRegions : [];
+      if (this.diffRegionIndex >= regions.length) this.diffRegionIndex = -1;
+      list.classList.toggle('visible', this.driftMapVisible && !!lane);
+      if (!lane) {
+        list.innerHTML = '';
+        return;
+      }
+      let html = `<div class="comp-diff-list-head">${lane.id} vs ${this.referenceTrack} · ` +
+        (regions.length ? regions.length + (regions.length === 1 ? ' change' : ' changes') : 'no changes') + '</div>';
+      regions.forEach((r, i) => {
+        html += `<button class="comp-diff-item${i === this.diffRegionIndex ? ' active' : ''}" data-region="${i}">`;
+        html += `<span class="comp-diff-rank">${i + 1}</span>`;
+        html += `<span class="comp-diff-time">${this._fmtTime(r.start)}–${this._fmtTime(r.end)}</span>`;
+        html += `<span class="comp-diff-level">${fmtDb(r.level)}</span>`;
+        html += '</button>';
+      });
+      list.innerHTML = html;
+    }
+
+    // Vertical wheel / pinch zooms around the pointer; horizontal swipe or Shift+wheel pans
+    _handleWheel(e) {
+      if (!this.duration || !this._loadedLanes().length) return;
+      const rect = this.els.tracks.getBoundingClientRect();
+      const viewFrac = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+      const unit = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? rect.width : 1; // lines / pages → px
+      const dx = e.deltaX * unit, dy = e.deltaY * unit;
+      const range = this.zoomEnd - this.zoomStart;
+      const pan = e.shiftKey || Math.abs(dx) > Math.abs(dy);
+      // Fully zoomed out, only zooming in changes the view — anything else scrolls the page
+      if (!this.isZoomed && (pan || dy >= 0)) return;
+      e.preventDefault();
+      if (pan) {
+        const d = (Math.abs(dx) > Math.abs(dy) ? dx : dy) / rect.width * range;
+        this._setView(this.zoomStart + d, this.zoomEnd + d);
+      } else {
+        // Trackpad pinch arrives as ctrl+wheel with small deltas
+        const next = range * Math.exp(dy * (e.ctrlKey ? 0.01 : 0.002));
+        const anchor = this._fromViewFrac(viewFrac);
+        const clamped = Math.min(1, Math.max(this._minViewRange(), next));
+        this._setView(anchor - viewFrac * clamped, anchor + (1 - viewFrac) * clamped);
+      }
+    }
+
+    // ── Minimap ──
+    //
+    // Whole-track overview of the active lane under the lanes while zoomed; the
+    // highlighted window is the current view — drag it to pan, click elsewhere to jump.
+
+    _drawMinimap() {
+      const map = this.els.minimap;
+      if (!map) return;
+      map.classList.toggle('visible', this.isZoomed);
+      if (!this.isZoomed) return;
+      this.els.minimapView.style.left = (this.zoomStart * 100) + '%';
+      this.els.minimapView.style.width = ((this.zoomEnd - this.zoomStart) * 100) + '%';
+
+      const canvas = this.els.minimapCanvas;
+      const lane = this._lane(this.activeTrack);
+      const ctx = canvas.getContext('2d');
+      const dpr = window.devicePixelRatio || 1;
+      const rect = canvas.getBoundingClientRect();
+      canvas.width = rect.width * dpr;
+      canvas.height = rect.height * dpr;
+      ctx.scale(dpr, dpr);
+      ctx.clearRect(0, 0, rect.width, rect.height);
+      if (!lane || !lane.pyramid) return;
+
+      const w = rect.width, h = rect.height;
+      const numBars = Math.max(1, Math.floor(w * dpr / 2));
+      const peaks = peaksFromPyramid(lane.pyramid, lane.shift, lane.shift + this.duration, numBars);
+      const { r, g, b } = parseColor(this._trackColor(lane.id));
+      const barW = w / numBars;
+      for (let i = 0; i < numBars; i++) {
+        const frac = i / numBars;
+        const inLoop = frac >= this.loopStart && frac <= this.loopEnd;
+        ctx.fillStyle = `rgba(${r},${g},${b},${inLoop ? 0.5 : 0.2})`;
+        const barH = Math.max(1, peaks[i] * h * 0.9);
+        ctx.fillRect(i * barW, (h - barH) / 2, Math.max(1 / dpr, barW - 1 / dpr), barH);
+      }
+    }
+
+    _startMinimapDrag(e) {
+      if (!this.isZoomed) return;
+      e.preventDefault();
+      const frac = this._minimapFrac(e);
+      const range = this.zoomEnd - this.zoomStart;
+      const inside = frac >= this.zoomStart && frac <= this.zoomEnd;
+      // Grab the window where it was clicked; a click outside it centres the view there
+      this.minimapDrag = { grab: inside ? frac - this.zoomStart : range / 2 };
+      if (!inside) this._setView(frac - range / 2, frac + range / 2);
+      document.addEventListener('mousemove', this._onMinimapDrag);
+      document.addEventListener('mouseup', this._onMinimapDragEnd);
+      document.addEventListener('touchmove', this._onMinimapDrag, { passive: false });
+      document.addEventListener('touchend', this._onMinimapDragEnd);
+    }
+
+    _handleMinimapDrag(e) {
+      if (!this.minimapDrag) return;
+      e.preventDefault();
+      const start = this._minimapFrac(e) - this.minimapDrag.grab;
+      this._setView(start, start + (this.zoomEnd - this.zoomStart));
+    }
+
+    _handleMinimapDragEnd() {
+      this.minimapDrag = null;
+      document.removeEventListener('mousemove', this._onMinimapDrag);
+      document.removeEventListener('mouseup', this._onMinimapDragEnd);
+      document.removeEventListener('touchmove', this._onMinimapDrag);
+      document.removeEventListener('touchend', this._onMinimapDragEnd);
+    }
+
+    _minimapFrac(e) {
+      const rect = this.els.minimap.getBoundingClientRect();
+      const clientX = e.touches ? e.touches[0].clientX : e.clientX;
+      return Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
     }
 
     _updateZoomBtn() {
@@ -1352,12 +5570,35 @@ const CompConsole = (() => {
 
     // ── Beat Snap ──
 
-    _snapToBeat(sec) {
+    // Index of the grid beat nearest to t
+    _beatIndex(t) {
+      const beats = this.beatGrid.beats;
+      let lo = 0, hi = beats.length - 1;
+      while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (beats[mid] <= t) lo = mid; else hi = mid;
+      }
+      return (t - beats[lo] <= beats[hi] - t) ? lo : hi;
+    }
+
+    // Bar position comes from the beat's index, so it holds through tempo changes
+    _isDownbeatIndex(i) {
+      const bpb = this.beatGrid.beatsPerBar;
+      return ((i - this.beatGrid.downbeatIndex) % bpb + bpb) % bpb === 0;
+    }
+
+    _isDownbeat(t) {
+      if (!this.beatGrid || !this.beatGrid.beats.length) return false;
+      return this._isDownbeatIndex(this._beatIndex(t));
+    }
+
+    _snapToBeat(sec, toBar) {
       if (!this.beatGridVisible || !this.beatGrid || !this.beatGrid.beats.length) return sec;
       const beats = this.beatGrid.beats;
-      let closest = beats[0];
-      let minDist = Math.abs(sec - closest);
-      for (let i = 1; i < beats.length; i++) {
+      let closest = sec;
+      let minDist = Infinity;
+      for (let i = 0; i < beats.length; i++) {
+        if (toBar && !this._isDownbeatIndex(i)) continue;
         const dist = Math.abs(sec - beats[i]);
         if (dist < minDist) { minDist = dist; closest = beats[i]; }
         // Beats are sorted, so once we start getting further away, stop
@@ -1366,13 +5607,115 @@ const CompConsole = (() => {
       return closest;
     }
 
-    _snapFracToBeat(frac) {
+    _snapFracToBeat(frac, toBar) {
       if (!this.beatGridVisible || !this.beatGrid || !this.duration) return frac;
       const sec = frac * this.duration;
-      const snapped = this._snapToBeat(sec);
+      const snapped = this._snapToBeat(sec, toBar);
       return snapped / this.duration;
     }
 
+    // Time readouts: m:ss, or bar.beat once the grid is known
+    _fmtTime(sec) {
+      if (this.timeFormat === 'bars' && this.beatGrid && this.beatGrid.beats.length > 1) {
+        return fmtBarsBeats(sec, this.beatGrid);
+      }
+      return fmtTime(sec);
+    }
+
+    _toggleTimeFormat() {
+      if (!this.beatGrid) return;
+      this.timeFormat = this.timeFormat === 'bars' ? 'clock' : 'bars';
+      this._updateTimeReadouts();
+    }
+
+    _updateTimeReadouts() {
+      if (!this.els.time) return;
+      this.els.time.textContent = this._fmtTime(this.lastPlayheadSec) + ' / ' + this._fmtTime(this.duration);
+      this.els.time.classList.toggle('bars', this.timeFormat === 'bars' && !!this.beatGrid);
+      this._updateLoopRegion();
+      this._renderDiffList();
+    }
+
+    // ── Undo / Redo ──
+    //
+    // Each entry is a snapshot of the editable state from just before an edit.
+    // Undo swaps it with the current state onto the redo stack (and vice versa).
+
+    _editSnapshot() {
+      return {
+        loop: [this.loopStart, this.loopEnd],
+        view: [this.zoomStart, this.zoomEnd],
+        track: this.activeTrack,
+        markers: this.markers.map(m => this._markerView(m)),
+      };
+    }
+
+    // Call before changing anything the snapshot covers
+    _recordEdit(kind) {
+      if (this.historyMuted || !this.duration) return;
+      const now = Date.now();
+      const last = this.undoStack[this.undoStack.length - 1];
+      this.redoStack = [];
+      if (last && last.kind === kind && HISTORY_COALESCE.includes(kind) && now - last.time < HISTORY_COALESCE_MS) {
+        last.time = now;
+        return;
+      }
+      this.undoStack.push({ kind, state: this._editSnapshot(), time: now });
+      if (this.undoStack.length > HISTORY_LIMIT) this.undoStack.shift();
+    }
+
+    undo() {
+      return this._stepHistory(this.undoStack, this.redoStack);
+    }
+
+    redo() {
+      return this._stepHistory(this.redoStack, this.undoStack);
+    }
+
+    _stepHistory(from, to) {
+      const current = this._editSnapshot();
+      const key = JSON.stringify(current);
+      let entry = from.pop();
+      // Skip entries that changed nothing (e.g. a handle grabbed and let go in place)
+      while (entry && JSON.stringify(entry.state) === key) entry = from.pop();
+      if (!entry) return false;
+      to.push({ kind: entry.kind, state: current, time: 0 });
+      this.historyMuted++;
+      try {
+        this._restoreSnapshot(entry.state);
+      } finally {
+        this.historyMuted--;
+      }
+      return true;
+    }
+
+    _restoreSnapshot(state) {
+      // Markers: drop or edit the ones that differ, re-create deleted ones under their old ids
+      const wanted = new Map(state.markers.map(v => [v.id, v]));
+      for (const m of this.markers.slice()) {
+        const v = wanted.get(m.id);
+        if (!v) this.removeMarker(m.id);
+        else if (JSON.stringify(v) !== JSON.stringify(this._markerView(m))) this._editMarker(m, v);
+      }
+      for (const v of state.markers) {
+        if (!this._marker(v.id)) this._insertMarker(this._normalizeMarker(v), v.id);
+      }
+      this._renderMarkerList();
+
+      const [loopStart, loopEnd] = state.loop;
+      if (loopStart !== this.loopStart || loopEnd !== this.loopEnd) {
+        this.loopStart = loopStart;
+        this.loopEnd = loopEnd;
+        this.setLoopRegion(loopStart * this.duration, loopEnd * this.duration);
+      }
+      if (state.view[0] !== this.zoomStart || state.view[1] !== this.zoomEnd) {
+        this._setView(state.view[0], state.view[1], true);
+      }
+      this._updateLoopRegion();
+      // A blind test owns track selection (and undoing into a real lane would reveal it)
+      if (state.track !== this.activeTrack && !this.blind) this.switchTrack(state.track);
+    }
+
     // ── Handle Dragging ──
 
     _startHandleDrag(which, e) {
@@ -1381,6 +5724,7 @@ const CompConsole = (() => {
         return;
       }
       e.preventDefault();
+      this._recordEdit('loop');
       this.draggingHandle = which;
       const el = (which === 'left') ? this.els.handleLeft : this.els.handleRight;
       el.classList.add('dragging');
@@ -1399,10 +5743,10 @@ const CompConsole = (() => {
       const viewFrac = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
       let frac = this._fromViewFrac(viewFrac);
 
-      // Snap to beat grid if active
-      frac = this._snapFracToBeat(frac);
+      // Snap to beat grid if active (Shift: whole bars)
+      frac = this._snapFracToBeat(frac, e.shiftKey);
 
-      const minGap = 0.02;
+      const minGap = 0.02 * (this.zoomEnd - this.zoomStart); // 2% of the view
 
       if (this.draggingHandle === 'left') {
         this.loopStart = Math.max(0, Math.min(frac, this.loopEnd - minGap));
@@ -1441,10 +5785,12 @@ const CompConsole = (() => {
     _toggleBeatGrid() {
       this.beatGridVisible = !this.beatGridVisible;
       if (this.els.gridBtn) this.els.gridBtn.classList.toggle('active', this.beatGridVisible);
+      this._updateRuler();
       this._redrawWaveforms();
     }
 
     _toggleDriftMap() {
+      if (this.blind) return; // the drift map would reveal which lane is which
       this._setDriftMapVisible(!this.driftMapVisible);
     }
 
@@ -1452,21 +5798,62 @@ const CompConsole = (() => {
       this.driftMapVisible = visible;
       this.els.driftBtn.classList.toggle('active', visible);
       this._redrawWaveforms();
+      this._renderDiffList();
     }
 
     // ── Event Handlers ──
 
     _handleKeydown(e) {
       if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
-      if (e.code === 'Space') {
+      if (e.code === 'KeyZ' && (e.metaKey || e.ctrlKey) && !e.altKey) {
+        // Undo, Shift: redo
+        e.preventDefault();
+        if (e.shiftKey) this.redo();
+        else this.undo();
+      } else if (e.code === 'Space') {
         e.preventDefault();
         this._togglePlay();
+      } else if (/^Digit[1-9]$/.test(e.code) && e.shiftKey && !e.metaKey && !e.ctrlKey && !e.altKey) {
+        // Shift + number recalls a loop cue (plain numbers pick tracks)
+        if (this.recallLoopCueAt(+e.code.slice(5) - 1)) e.preventDefault();
+      } else if (this.blind && this.blind.mapping && (e.code === 'ArrowUp' || e.code === 'ArrowDown' || /^Digit[1-9]$/.test(e.code))) {
+        // During a blind test, keys address the neutral slots — never the real lanes
+        e.preventDefault();
+        const slots = Object.keys(this.blind.mapping);
+        let idx = slots.indexOf(this.blind.slot);
+        if (e.code === 'ArrowUp') idx = (idx - 1 + slots.length) % slots.length;
+        else if (e.code === 'ArrowDown') idx = (idx + 1) % slots.length;
+        else idx = +e.code.slice(5) - 1;
+        if (slots[idx]) this._selectBlindSlot(slots[idx]);
       } else if ((e.code === 'ArrowUp' || e.code === 'ArrowDown') && !this.isSingleTrack) {
         e.preventDefault();
-        this.switchTrack(this.activeTrack === 'A' ? 'B' : 'A');
+        // Cycle through lanes (with two tracks this is a plain A/B flip)
+        const idx = this.tracks.findIndex(l => l.id === this.activeTrack);
+        const step = e.code === 'ArrowUp' ? -1 : 1;
+        const next = this.tracks[(idx + step + this.tracks.length) % this.tracks.length];
+        this.switchTrack(next.id);
+      } else if (/^Digit[1-9]$/.test(e.code) && !this.isSingleTrack && !e.metaKey && !e.ctrlKey && !e.altKey && !e.shiftKey) {
+        // Number keys pick a lane directly: 1 = A, 2 = B, …
+        const lane = this.tracks[+e.code.slice(5) - 1];
+        if (lane) {
+          e.preventDefault();
+          this.switchTrack(lane.id);
+        }
+      } else if ((e.code === 'BracketLeft' || e.code === 'BracketRight') && !this.isSingleTrack && !this.blind) {
+        // Nudge sync: [ earlier, ] later — Shift ×10
+        e.preventDefault();
+        this._nudgeStep((e.code === 'BracketLeft' ? -1 : 1) * (e.shiftKey ? 10 : 1));
+      } else if (e.code === 'KeyN' && this.driftMapVisible && !this.blind && !e.metaKey && !e.ctrlKey && !e.altKey) {
+        // Step through change regions, biggest first: N next, Shift+N previous
+        e.preventDefault();
+        if (e.shiftKey) this.prevDiffRegion();
+        else this.nextDiffRegion();
       } else if (e.code === 'KeyM' && this.opts.features.markers) {
-        // Drop marker at current playhead position
-        if (this.isPlaying && this.lastPlayheadSec > 0) {
+        if (e.shiftKey) {
+          // Mark the loop region as a range
+          if (this.loopEndSec - this.loopStartSec < this.duration) this._newMarker(this.loopStartSec, this.loopEndSec);
+        } else if (this.isPlaying && this.lastPlayheadSec > 0) {
+          // Drop marker at current playhead position
           this._pinMarker(this.lastPlayheadSec);
         }
       } else if (e.code === 'Escape' && this.isZoomed) {
@@ -1477,13 +5864,14 @@ const CompConsole = (() => {
 
     _handleResize() {
       this._updateLoopRegion();
+      this._scheduleSpectrograms();
     }
 
     _togglePlay() {
       if (this.isPlaying) {
         this.stop();
       } else {
-        if (!this.bufferA && !this.bufferB) return;
+        if (!this._loadedLanes().length) return;
         // Resume from last position if we have one
         const offset = (this.lastPlayheadSec > this.loopStartSec && this.lastPlayheadSec < this.loopEndSec)
           ? this.lastPlayheadSec : undefined;
@@ -1510,32 +5898,30 @@ const CompConsole = (() => {
       html += '</div>';
       html += '</div>';
 
-      // Track identifier header (optional — shows when heading, title, or labels are provided)
-      const labelA = this.opts.trackA ? this.opts.trackA.label : '';
-      const labelB = this.opts.trackB ? this.opts.trackB.label : '';
-      const hasMeta = this.opts.meta && this.opts.meta.length > 0;
-      const hasHeader = this.opts.title || labelA || labelB || hasMeta;
+      // Per-lane color: explicit track color, else the theme variable for that lane letter
+      const laneStyle = (lane) => `style="--comp-lane: ${lane.color || 'var(' + trackColorVar(lane.id) + ', ' + TRACK_COLORS[lane.id] + ')'}"`;
+
+      // Track identifier header (optional — shows when heading, title, labels or meta are provided)
+      const autoMeta = this.opts.meta == null;
+      const hasMeta = autoMeta || (Array.isArray(this.opts.meta) && this.opts.meta.length > 0);
+      const idLanes = this.tracks.filter(l => this.opts.title || l.label);
+      const hasHeader = idLanes.length > 0 || hasMeta;
       if (hasHeader) {
         html += '<div class="comp-header">';
-        // Track A row
-        if (this.opts.title || labelA) {
-          html += '<div class="comp-track-id">';
-          html += '<span class="comp-track-id-badge badge-a">A</span>';
-          html += `<span class="comp-track-id-label">${this.opts.title ? this.opts.title.toUpperCase() : ''}${labelA ? ' (' + labelA + ')' : ''}</span>`;
+        // Automatic meta fills in once track analysis finishes
+        const metaHtml = `<div class="comp-meta" data-el="meta">${autoMeta ? '' : this._metaChips(this.opts.meta)}</div>`;
+        // One row per track — meta sits on the right of the last row
+        idLanes.forEach((lane, i) => {
+          const isLast = i === idLanes.length - 1;
+          html += `<div class="comp-track-id${isLast ? ' comp-track-id-meta' : ''}">`;
+          html += `<span class="comp-track-id-badge" ${laneStyle(lane)}>${lane.id}</span>`;
+          html += `<span class="comp-track-id-label">${this.opts.title ? this.opts.title.toUpperCase() : ''}${lane.label ? ' (' + lane.label + ')' : ''}</span>`;
+          if (isLast && hasMeta) html += metaHtml;
           html += '</div>';
-        }
-        // Track B row — with meta on the right
-        if (this.opts.title || labelB) {
-          html += '<div class="comp-track-id comp-track-id-meta">';
-          html += '<span class="comp-track-id-badge badge-b">B</span>';
-          html += `<span class="comp-track-id-label">${this.opts.title ? this.opts.title.toUpperCase() : ''}${labelB ? ' (' + labelB + ')' : ''}</span>`;
-          if (hasMeta) {
-            html += '<div class="comp-meta">';
-            html += this.opts.meta.map(s => `<span>${s}</span>`).join('<span class="comp-meta-dot">·</span>');
-            html += '</div>';
-          }
-          html += '</div>';
-        }
+        });
+        if (!idLanes.length) html += `<div class="comp-track-id comp-track-id-meta">${metaHtml}</div>`;
+        // How each track measures against the reference
+        if (autoMeta && !this.isSingleTrack) html += '<div class="comp-meta-diff" data-el="metaDiff"></div>';
         html += '</div>';
       }
 
@@ -1543,8 +5929,9 @@ const CompConsole = (() => {
       html += '<div class="comp-controls">';
       html += `<button class="comp-play-btn" data-el="playBtn">${PLAY_SVG}</button>`;
       html += `<div class="comp-ab-toggle"${this.isSingleTrack ? ' style="display:none"' : ''}>`;
-      html += `<button class="comp-ab-btn${this.activeTrack === 'A' ? ' active-a' : ''}" data-el="abBtnA">A</button>`;
-      html += `<button class="comp-ab-btn${this.activeTrack === 'B' ? ' active-b' : ''}" data-el="abBtnB">B</button>`;
+      for (const lane of this.tracks) {
+        html += `<button class="comp-ab-btn${this.activeTrack === lane.id ? ' active' : ''}" data-el="abBtn${lane.id}" ${laneStyle(lane)}>${lane.id}</button>`;
+      }
       html += '</div>';
       if (!this.isSingleTrack) {
         html += `<div class="comp-switch-hint">or <kbd>${ARROW_SVG}</kbd> to switch</div>`;
@@ -1553,26 +5940,136 @@ const CompConsole = (() => {
       // Zoom button
       html += '<button class="comp-at-btn comp-zoom-btn" data-el="zoomBtn" title="Zoom to loop region">Zoom Loop</button>';
 
+      if (f.beatGrid) {
+        html += `<button class="comp-at-btn comp-grid-btn${this.beatGridVisible ? ' active' : ''}" data-el="gridBtn" title="Beat grid and bar ruler (Shift-drag loop handles to snap to bars)">Grid</button>`;
+      }
+
       if (f.driftMap) {
         html += '<button class="comp-at-btn comp-drift-btn" data-el="driftBtn" title="Display track differences">Drift Map</button>';
+        html += '<button class="comp-at-btn comp-spectral-btn" data-el="spectralBtn" title="Show differences by frequency band">Spectral</button>';
+      }
+
+      // Channel view (waveforms + drift) and monitoring mode — click to cycle
+      html += `<button class="comp-at-btn comp-view-btn${this.channelView !== 'stereo' ? ' active' : ''}" data-el="viewBtn" title="Channel shown in waveforms and drift map">${CHANNEL_VIEW_LABELS[this.channelView]}</button>`;
+      html += `<button class="comp-at-btn comp-monitor-btn${this.monitorMode !== 'stereo' ? ' active' : ''}" data-el="monitorBtn" title="Monitoring mode (applies to every track)">${MONITOR_LABELS[this.monitorMode]}</button>`;
+      html += '<div class="comp-filter">';
+      html += `<button class="comp-at-btn comp-filter-btn${this.listenFilter !== 'off' ? ' active' : ''}" data-el="filterBtn" title="Listening filter (applies to every track) — click to cycle">${LISTEN_FILTER_LABELS[this.listenFilter]}</button>`;
+      html += '<span class="comp-filter-band" data-el="filterBand">';
+      html += '<input type="range" class="comp-filter-freq" data-el="filterFreq" min="0" max="1000" step="1" title="Band centre">';
+      html += `<input type="range" class="comp-filter-q" data-el="filterQ" min="${LISTEN_Q_RANGE[0]}" max="${LISTEN_Q_RANGE[1]}" step="0.1" title="Band width (Q)">`;
+      html += '<span class="comp-filter-readout" data-el="filterReadout"></span>';
+      html += '</span></div>';
+      html += `<button class="comp-at-btn comp-spectro-btn${this.spectrogram !== 'off' ? ' active' : ''}" data-el="spectroBtn" title="Spectrogram under or instead of the waveforms — click to cycle">Spectrum</button>`;
+      html += '<button class="comp-at-btn comp-spectro-opt" data-el="spectroFftBtn" title="FFT size (time vs frequency resolution)"></button>';
+      html += '<button class="comp-at-btn comp-spectro-opt" data-el="spectroScaleBtn" title="Frequency scale"></button>';
+      html += `<button class="comp-at-btn comp-meter-btn${this.metersVisible ? ' active' : ''}" data-el="meterBtn" title="Live loudness, true peak and correlation">Meters</button>`;
+
+      // Loudness match toggle + applied trim readout
+      if (!this.isSingleTrack) {
+        html += `<button class="comp-at-btn comp-match-btn${this.loudnessMatch ? ' active' : ''}" data-el="matchBtn" title="Play both tracks at matched loudness">Match</button>`;
+        html += '<span class="comp-trim" data-el="trimLabel" title="Gain applied for loudness match"></span>';
+
+        // Sync nudge: move the compared track against the reference
+        html += '<div class="comp-nudge" data-el="nudge">';
+        html += '<button class="comp-nudge-btn" data-nudge="-10" title="Earlier ×10">«</button>';
+        html += '<button class="comp-nudge-btn" data-nudge="-1" title="Earlier">‹</button>';
+        html += '<button class="comp-nudge-readout" data-el="nudgeReadout">—</button>';
+        html += '<button class="comp-nudge-btn" data-nudge="1" title="Later">›</button>';
+        html += '<button class="comp-nudge-btn" data-nudge="10" title="Later ×10">»</button>';
+        html += '<button class="comp-nudge-btn comp-nudge-auto" data-el="nudgeAuto" title="Back to auto-alignment" disabled>Auto</button>';
+        html += '<button class="comp-nudge-btn comp-polarity-btn" data-el="polarityBtn" title="Flip polarity" disabled>Ø</button>';
+        html += '</div>';
+        html += `<button class="comp-at-btn comp-null-btn${this.nullTest ? ' active' : ''}" data-el="nullBtn" title="Null test: play the reference minus the compared track">Null</button>`;
       }
 
-      html += '<div class="comp-time" data-el="time">0:00 / 0:00</div>';
+      if (!this.opts.restrictRegion) {
+        html += '<button class="comp-at-btn comp-cue-btn" data-el="cueBtn" title="Save the loop region as a named cue (recall with Shift+1…9)">+ Cue</button>';
+      }
+
+      if (this.opts.notes && f.markers) {
+        html += '<button class="comp-at-btn comp-note-btn" data-el="noteBtn" title="Pin a note at the playhead on the track you\'re hearing (Shift-click: over the loop region)">+ Note</button>';
+      }
+
+      // Export the loop region as a WAV
+      html += '<div class="comp-export" data-el="export">';
+      html += '<button class="comp-at-btn comp-export-btn" data-el="exportBtn" title="Render the loop region to a WAV file, or export markers for a DAW">Export</button>';
+      html += '<div class="comp-export-menu" data-el="exportMenu">';
+      for (const lane of this.tracks) {
+        html += `<button data-export="${lane.id}">${lane.id} only</button>`;
+      }
+      if (!this.isSingleTrack) {
+        for (const lane of this.tracks) {
+          if (lane.id === this.referenceTrack) continue;
+          html += `<button data-export="null" data-track="${lane.id}" title="Reference minus ${lane.id}">Null (${this.referenceTrack}−${lane.id})</button>`;
+        }
+        html += '<button data-export="alternate">Alternate every</button>';
+        html += '<label class="comp-export-bars"><input type="number" min="1" max="64" value="4" data-el="exportBars"> bars</label>';
+      }
+      if (f.markers) {
+        html += '<div class="comp-export-head">Markers + loop</div>';
+        html += '<button data-markers="audacity" title="Audacity label track (.txt)">Audacity labels</button>';
+        html += '<button data-markers="reaper" title="Reaper Region/Marker Manager (.csv)">Reaper CSV</button>';
+        html += '<button data-markers="midi" title="Standard MIDI file with marker events">MIDI markers</button>';
+        html += '<button data-markers="wav" title="Reference track with cue points and regions">WAV with cues</button>';
+        html += '<button data-markers="import" title="Audacity labels, Reaper CSV, MIDI or WAV cues">Import markers…</button>';
+        html += '<input type="file" class="comp-marker-file" data-el="markerFile" accept=".txt,.csv,.mid,.midi,.wav">';
+      }
+      html += '</div></div>';
+
+      html += '<div class="comp-time" data-el="time" title="Click for bars.beats">0:00 / 0:00</div>';
+      html += '</div>';
+
+      // Source format mismatch notice (empty unless tracks differ)
+      html += '<div class="comp-format-note" data-el="formatNote"></div>';
+
+      // Polarity notice with a one-click flip (empty unless a track correlates negatively)
+      html += '<div class="comp-polarity-note" data-el="polarityNote"></div>';
+
+      // Signal issue summary per track (empty until detection finds something)
+      if (f.issues) html += '<div class="comp-issues" data-el="issues"></div>';
+
+      // Blind / ABX test panel (empty unless a test is running)
+      html += '<div class="comp-blind-panel" data-el="blindPanel"></div>';
+
+      // Live meters + per-track extremes over the loop
+      const meterRow = (name, key) => `<div class="comp-meter-row"><span class="comp-meter-name">${name}</span>`
+        + `<div class="comp-meter-bar"><div class="comp-meter-fill" data-el="meter${key}Fill"></div></div>`
+        + `<span class="comp-meter-value" data-el="meter${key}">—</span></div>`;
+      html += `<div class="comp-meters${this.metersVisible ? ' visible' : ''}" data-el="meters">`;
+      html += '<div class="comp-meter-live">';
+      html += meterRow('M', 'Momentary') + meterRow('S', 'ShortTerm') + meterRow('TP', 'TruePeak');
+      html += '<div class="comp-meter-row"><span class="comp-meter-name">Corr</span>';
+      html += '<div class="comp-meter-bar comp-meter-corr"><div class="comp-meter-fill" data-el="meterCorrelationFill"></div></div>';
+      html += '<span class="comp-meter-value" data-el="meterCorrelation">—</span></div>';
+      html += '</div>';
+      html += '<table class="comp-meter-max"><thead><tr><th></th><th>Max M</th><th>Max S</th><th>Max TP</th><th>Min corr</th>';
+      html += '<th><button class="comp-meter-reset" data-el="meterReset" title="Clear the per-track maximums">Reset</button></th></tr></thead><tbody>';
+      for (const lane of this.tracks) {
+        html += `<tr data-el="meterRow${lane.id}"><td><span class="comp-meter-badge" ${laneStyle(lane)}>${lane.id}</span></td>`;
+        html += '<td data-meter="momentary">—</td><td data-meter="shortTerm">—</td><td data-meter="truePeak">—</td><td data-meter="correlation">—</td><td></td></tr>';
+      }
+      html += '</tbody></table>';
       html += '</div>';
 
       // Tracks area
-      html += '<div class="comp-tracks-area">';
+      html += '<div class="comp-tracks-area" data-el="tracksArea">';
 
       // Badge column (hidden in single-track mode)
       html += `<div class="comp-badge-column"${this.isSingleTrack ? ' style="display:none"' : ''}>`;
       html += '<div class="comp-badge-spacer"></div>';
-      html += `<div class="comp-track-badge${this.activeTrack === 'A' ? ' active-a' : ''}" data-el="badgeA">A</div>`;
-      html += `<div class="comp-track-badge${this.activeTrack === 'B' ? ' active-b' : ''}" data-el="badgeB">B</div>`;
+      for (const lane of this.tracks) {
+        html += `<div class="comp-track-badge${this.activeTrack === lane.id ? ' active' : ''}" data-el="badge${lane.id}" ${laneStyle(lane)}>${lane.id}</div>`;
+      }
       html += '</div>';
 
       // Tracks wrapper
       html += '<div class="comp-tracks-wrapper" data-el="tracksWrapper">';
 
+      // Bar ruler (shown with the beat grid once beats are detected)
+      if (f.beatGrid) {
+        html += '<div class="comp-ruler" data-el="ruler"><canvas class="comp-ruler-canvas" data-el="rulerCanvas"></canvas></div>';
+      }
+
       // Marker rail
       if (f.markers) {
         html += '<div class="comp-marker-rail" data-el="markerRail"></div>';
@@ -1585,21 +6082,29 @@ const CompConsole = (() => {
       html += '</div>';
 
       // Tracks
-      html += '<div class="comp-tracks" data-el="tracks">';
-      html += '<div class="comp-track"><div class="comp-waveform-container" data-track="A">';
-      html += '<canvas class="comp-waveform-canvas" data-el="canvasA"></canvas>';
-      html += '<div class="comp-dim-overlay comp-dim-left" data-el="dimLeftA"></div>';
-      html += '<div class="comp-dim-overlay comp-dim-right" data-el="dimRightA"></div>';
-      html += '<div class="comp-playhead" data-el="playheadA"></div>';
-      html += '</div></div>';
-      html += `<div class="comp-track"${this.isSingleTrack ? ' style="display:none"' : ''}><div class="comp-waveform-container" data-track="B">`;
-      html += '<canvas class="comp-waveform-canvas" data-el="canvasB"></canvas>';
-      html += '<div class="comp-dim-overlay comp-dim-left" data-el="dimLeftB"></div>';
-      html += '<div class="comp-dim-overlay comp-dim-right" data-el="dimRightB"></div>';
-      html += '<div class="comp-playhead" data-el="playheadB"></div>';
-      html += '</div></div>';
+      const spectroClass = this.spectrogram !== 'off' ? ' spectro-' + this.spectrogram : '';
+      html += `<div class="comp-tracks${spectroClass}" data-el="tracks">`;
+      for (const lane of this.tracks) {
+        const id = lane.id;
+        html += `<div class="comp-track"><div class="comp-waveform-container" data-track="${id}" data-el="container${id}" ${laneStyle(lane)}>`;
+        html += `<canvas class="comp-spectro-canvas" data-el="spectro${id}"></canvas>`;
+        html += `<canvas class="comp-waveform-canvas" data-el="canvas${id}"></canvas>`;
+        html += `<div class="comp-dim-overlay comp-dim-left" data-el="dimLeft${id}"></div>`;
+        html += `<div class="comp-dim-overlay comp-dim-right" data-el="dimRight${id}"></div>`;
+        html += `<div class="comp-playhead" data-el="playhead${id}"></div>`;
+        html += '</div></div>';
+      }
       html += '</div>'; // .comp-tracks
 
+      // Spectral drift heatmap (time × frequency, vs the reference track)
+      if (f.driftMap) {
+        html += '<div class="comp-spectral-lane" data-el="spectralLane">';
+        html += '<canvas class="comp-spectral-canvas" data-el="spectralCanvas"></canvas>';
+        html += '<span class="comp-spectral-label" data-el="spectralLabel"></span>';
+        html += '<span class="comp-spectral-axis"><span>16k</span><span>800</span><span>40</span></span>';
+        html += '</div>';
+      }
+
       // Timeline
       html += '<div class="comp-timeline">';
       html += '<span data-el="timeStart">0:00</span>';
@@ -1608,9 +6113,33 @@ const CompConsole = (() => {
       html += '<span data-el="timeEnd">0:00</span>';
       html += '</div>';
 
+      // Whole-track overview with the zoomed window (shown while zoomed)
+      html += '<div class="comp-minimap" data-el="minimap">';
+      html += '<canvas class="comp-minimap-canvas" data-el="minimapCanvas"></canvas>';
+      html += '<div class="comp-minimap-view" data-el="minimapView"></div>';
+      html += '</div>';
+
+      // Edit points found by piecewise alignment
+      if (this.opts.alignment === 'warp') {
+        html += '<div class="comp-edit-rail" data-el="editRail"></div>';
+      }
+
       html += '</div>'; // .comp-tracks-wrapper
+
+      // Ranked change regions from the drift map (shown with it)
+      if (f.driftMap && !this.isSingleTrack) {
+        html += '<div class="comp-diff-list" data-el="diffList"></div>';
+      }
       html += '</div>'; // .comp-tracks-area
 
+      // Loop cue list (named loop regions, Shift+1…9)
+      html += '<div class="comp-cue-list" data-el="cueList"></div>';
+
+      // Marker list (labels, colors, track + comment per marker)
+      if (f.markers) {
+        html += '<div class="comp-marker-list" data-el="markerList"></div>';
+      }
+
       // Keyboard hint
       html += '<div class="comp-keyboard-hint">';
       html += '<kbd>Space</kbd> play/pause';
@@ -1618,11 +6147,31 @@ const CompConsole = (() => {
         html += '<span class="comp-hint-sep">\u00B7</span>';
         html += `<kbd>${ARROW_SVG}</kbd> flip tracks`;
       }
+      if (this.tracks.length > 2) {
+        html += '<span class="comp-hint-sep">\u00B7</span>';
+        html += `<kbd>1</kbd>–<kbd>${this.tracks.length}</kbd> pick track`;
+      }
+      if (!this.isSingleTrack) {
+        html += '<span class="comp-hint-sep">\u00B7</span>';
+        html += '<kbd>[</kbd><kbd>]</kbd> nudge sync';
+      }
+      if (f.driftMap && !this.isSingleTrack) {
+        html += '<span class="comp-hint-sep">\u00B7</span>';
+        html += '<kbd>N</kbd> next change';
+      }
       if (f.markers) {
         html += '<span class="comp-hint-sep">\u00B7</span>';
         html += '<kbd>M</kbd> drop marker';
+        html += '<span class="comp-hint-sep">\u00B7</span>';
+        html += '<kbd>Shift+M</kbd> mark loop';
       }
       html += '<span class="comp-hint-sep">\u00B7</span>';
+      html += '<kbd>Shift+1\u20269</kbd> loop cues';
+      html += '<span class="comp-hint-sep">\u00B7</span>';
+      html += '<kbd>\u2318Z</kbd> undo';
+      html += '<span class="comp-hint-sep">\u00B7</span>';
+      html += '<kbd>Scroll</kbd> zoom';
+      html += '<span class="comp-hint-sep">\u00B7</span>';
       html += '<kbd>Esc</kbd> unzoom';
       html += '</div>';
 
@@ -1637,22 +6186,34 @@ const CompConsole = (() => {
         this.els[el.dataset.el] = el;
       });
 
+      // Per-lane element references
+      for (const lane of this.tracks) {
+        const id = lane.id;
+        lane.els = {
+          abBtn: this.els['abBtn' + id],
+          badge: this.els['badge' + id],
+          container: this.els['container' + id],
+          canvas: this.els['canvas' + id],
+          spectro: this.els['spectro' + id],
+          dimLeft: this.els['dimLeft' + id],
+          dimRight: this.els['dimRight' + id],
+          playhead: this.els['playhead' + id],
+        };
+      }
+
       // Draw placeholder waveforms
-      this._drawRandomWaveform(this.els.canvasA, 'A');
-      if (!this.isSingleTrack) this._drawRandomWaveform(this.els.canvasB, 'B');
+      for (const lane of this.tracks) this._drawRandomWaveform(lane.els.canvas, lane);
     }
 
     _bindEvents() {
       // Play button
       this.els.playBtn.addEventListener('click', () => this._togglePlay());
 
-      // A/B buttons
-      this.els.abBtnA.addEventListener('click', () => this.switchTrack('A'));
-      this.els.abBtnB.addEventListener('click', () => this.switchTrack('B'));
-
-      // Badge clicks
-      this.els.badgeA.addEventListener('click', () => this.switchTrack('A'));
-      this.els.badgeB.addEventListener('click', () => this.switchTrack('B'));
+      // A/B buttons + badge clicks
+      for (const lane of this.tracks) {
+        lane.els.abBtn.addEventListener('click', () => this.switchTrack(lane.id));
+        lane.els.badge.addEventListener('click', () => this.switchTrack(lane.id));
+      }
 
       // Waveform click/scrub
       const waveformContainers = this.container.querySelectorAll('.comp-waveform-container');
@@ -1670,7 +6231,7 @@ const CompConsole = (() => {
 
         // Drift-click-to-zoom: click a diff region in Drift Map mode to zoom in
         wc.addEventListener('dblclick', (e) => {
-          if (!this.driftMapVisible || !this.diffData) return;
+          if (!this.driftMapVisible || !this._hasDiffData()) return;
           const rect = wc.getBoundingClientRect();
           const viewFrac = (e.clientX - rect.left) / rect.width;
           this._zoomToDiffRegion(viewFrac);
@@ -1686,15 +6247,153 @@ const CompConsole = (() => {
       bindHandle('left');
       bindHandle('right');
 
-      // Zoom button
+      // Zoom button, wheel / trackpad zoom + pan, minimap
       if (this.els.zoomBtn) {
         this.els.zoomBtn.addEventListener('click', () => this._zoomToLoop());
       }
+      this.els.tracks.addEventListener('wheel', this._onWheel, { passive: false });
+      this.els.minimap.addEventListener('mousedown', (e) => this._startMinimapDrag(e));
+      this.els.minimap.addEventListener('touchstart', (e) => this._startMinimapDrag(e), { passive: false });
+
+      // Meters panel
+      this.els.meterBtn.addEventListener('click', () => this._setMetersVisible(!this.metersVisible));
+      this.els.meterReset.addEventListener('click', () => this.resetMeterMax());
+
+      // Beat grid toggle, bar ruler seeks, time readout format
+      if (this.els.gridBtn) {
+        this.els.gridBtn.addEventListener('click', () => this._toggleBeatGrid());
+        this.els.rulerCanvas.addEventListener('click', (e) => this._handleRulerClick(e));
+      }
+      this.els.time.addEventListener('click', () => this._toggleTimeFormat());
 
-      // Drift Map toggle
+      // Drift Map toggle + change-region list
       if (this.els.driftBtn) {
         this.els.driftBtn.addEventListener('click', () => this._toggleDriftMap());
       }
+      if (this.els.markerList) {
+        this.els.markerList.addEventListener('click', (e) => this._handleMarkerListClick(e));
+        this.els.markerList.addEventListener('change', (e) => {
+          const field = e.target.dataset.field;
+          const row = e.target.closest('[data-marker]');
+          const m = row && this._marker(+row.dataset.marker);
+          if (!field || !m) return;
+          this._recordEdit('marker');
+          this._editMarker(m, { [field]: e.target.value.trim() });
+        });
+        this.els.markerList.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter' && e.target.dataset.field) e.target.blur(); // commits via 'change'
+        });
+      }
+      if (this.els.diffList) {
+        this.els.diffList.addEventListener('click', (e) => {
+          const btn = e.target.closest('button');
+          if (btn && btn.dataset.region) this.goToDiffRegion(+btn.dataset.region);
+        });
+      }
+
+      // Spectral drift toggle + heatmap clicks
+      if (this.els.spectralBtn) {
+        this.els.spectralBtn.addEventListener('click', () => this._setSpectralDriftVisible(!this.spectralDriftVisible));
+        this.els.spectralCanvas.addEventListener('click', (e) => this._handleSpectralClick(e));
+      }
+
+      // Blind test panel (contents are re-rendered per trial, so delegate)
+      this.els.blindPanel.addEventListener('click', (e) => {
+        const btn = e.target.closest('button');
+        if (!btn) return;
+        if (btn.dataset.slot) this._selectBlindSlot(btn.dataset.slot);
+        else if (btn.dataset.answer) this._answerBlind(btn.dataset.answer);
+        else if (btn.dataset.action === 'done') this._exitBlindTest();
+      });
+
+      // Channel view + monitoring cycles
+      this.els.viewBtn.addEventListener('click', () => this.setChannelView(cycle(CHANNEL_VIEWS, this.channelView)));
+      this.els.monitorBtn.addEventListener('click', () => this.setMonitorMode(cycle(Object.keys(MONITOR_MODES), this.monitorMode)));
+      this.els.filterBtn.addEventListener('click', () => this.setListenFilter(cycle(LISTEN_FILTERS, this.listenFilter)));
+      this.els.filterFreq.addEventListener('input', () => {
+        const [lo, hi] = LISTEN_FREQ_RANGE;
+        this.setListenBand(lo * Math.pow(hi / lo, this.els.filterFreq.value / 1000));
+      });
+      this.els.filterQ.addEventListener('input', () => this.setListenBand(null, +this.els.filterQ.value));
+      this._updateListenFilterUI();
+      this.els.spectroBtn.addEventListener('click', () => this.setSpectrogram(cycle(SPECTRO_MODES, this.spectrogram)));
+      this.els.spectroFftBtn.addEventListener('click', () => this.setSpectrogramFftSize(cycle(SPECTRO_FFT_SIZES, this.spectroFftSize)));
+      this.els.spectroScaleBtn.addEventListener('click', () => this.setSpectrogramScale(cycle(Object.keys(SPECTRO_SCALES), this.spectroScale)));
+      this._updateSpectrogramUI();
+
+      // Sync nudge
+      if (this.els.nudge) {
+        this.els.nudge.addEventListener('click', (e) => {
+          const btn = e.target.closest('button');
+          if (!btn) return;
+          if (btn.dataset.nudge) this._nudgeStep(+btn.dataset.nudge);
+          else if (btn === this.els.nudgeAuto) this.resetAlignmentOffset();
+          else if (btn === this.els.polarityBtn) this.flipPolarity();
+          else if (btn === this.els.nudgeReadout) {
+            this.nudgeUnit = this.nudgeUnit === 'ms' ? 'samples' : 'ms';
+            this._updateNudgeUI();
+          }
+        });
+      }
+
+      // Null test + polarity notice
+      if (this.els.nullBtn) {
+        this.els.nullBtn.addEventListener('click', () => this.setNullTest(!this.nullTest));
+      }
+
+      if (this.els.markerFile) {
+        this.els.markerFile.addEventListener('change', () => {
+          const file = this.els.markerFile.files[0];
+          this.els.markerFile.value = '';
+          if (file) this.importMarkers(file).catch(err => console.error('Marker import failed:', err));
+        });
+      }
+      if (this.els.cueBtn) {
+        this.els.cueBtn.addEventListener('click', () => this.saveLoopCue());
+      }
+      this.els.cueList.addEventListener('click', (e) => this._handleLoopCueListClick(e));
+      this.els.cueList.addEventListener('change', (e) => {
+        const row = e.target.closest('[data-cue]');
+        if (row && e.target.dataset.field === 'name') this.renameLoopCue(+row.dataset.cue, e.target.value);
+      });
+      this.els.cueList.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && e.target.dataset.field) e.target.blur(); // commits via 'change'
+      });
+      if (this.els.noteBtn) {
+        this.els.noteBtn.addEventListener('click', (e) => this._addNote(e.shiftKey));
+      }
+
+      // Export menu
+      this.els.exportBtn.addEventListener('click', () => this.els.export.classList.toggle('open'));
+      this.els.exportMenu.addEventListener('click', (e) => {
+        const btn = e.target.closest('button');
+        if (btn && btn.dataset.markers) {
+          this.els.export.classList.remove('open');
+          if (btn.dataset.markers === 'import') this.els.markerFile.click();
+          else this.exportMarkers(btn.dataset.markers);
+          return;
+        }
+        if (!btn || !btn.dataset.export) return;
+        this.els.export.classList.remove('open');
+        const bars = this.els.exportBars ? +this.els.exportBars.value : 4;
+        this.els.exportBtn.disabled = true;
+        this.els.exportBtn.textContent = 'Rendering…';
+        this.exportLoop(btn.dataset.export, { bars, track: btn.dataset.track || null })
+          .catch(err => console.error('Export failed:', err))
+          .then(() => {
+            this.els.exportBtn.disabled = false;
+            this.els.exportBtn.textContent = 'Export';
+          });
+      });
+      this.els.polarityNote.addEventListener('click', (e) => {
+        const btn = e.target.closest('button');
+        if (btn && btn.dataset.flip) this.setPolarity(btn.dataset.flip, -1);
+      });
+
+      // Loudness match toggle
+      if (this.els.matchBtn) {
+        this.els.matchBtn.addEventListener('click', () => this.setLoudnessMatch(!this.loudnessMatch));
+      }
 
       // Keyboard
       document.addEventListener('keydown', this._onKeydown);
@@ -1706,30 +6405,98 @@ const CompConsole = (() => {
     // ── Public API ──
 
     destroy() {
+      this.destroyed = true;
+      this.dsp.terminate(); // cancels any analysis still running
       this.stop();
       this._stopScrubAudio();
+      clearTimeout(this.loudnessTimer);
+      clearTimeout(this.switchTimer);
+      clearTimeout(this.realignTimer);
+      clearTimeout(this.zoomTimer);
+      clearTimeout(this.spectroTimer);
       document.removeEventListener('keydown', this._onKeydown);
       window.removeEventListener('resize', this._onResize);
       document.removeEventListener('mousemove', this._onScrubMove);
       document.removeEventListener('mouseup', this._onScrubEnd);
       document.removeEventListener('mousemove', this._onHandleDrag);
       document.removeEventListener('mouseup', this._onHandleDragEnd);
+      document.removeEventListener('mousemove', this._onMinimapDrag);
+      document.removeEventListener('mouseup', this._onMinimapDragEnd);
+      document.removeEventListener('mousemove', this._onMarkerDrag);
+      document.removeEventListener('mouseup', this._onMarkerDragEnd);
       if (this.ctx) { this.ctx.close().catch(() => {}); }
       this.container.innerHTML = '';
       this.container.classList.remove('comp-console');
     }
 
+    // Signal issues per track: { A: { clips, overs, dropouts, dc, dcOffset, leadingSilence, trailingSilence } }.
+    // Times are seconds on the shared (aligned) timeline.
+    getIssues() {
+      const out = {};
+      for (const lane of this._loadedLanes()) {
+        if (!lane.issues) continue;
+        const shift = (r) => Object.assign({}, r, { start: r.start - lane.shift, end: r.end - lane.shift });
+        out[lane.id] = Object.assign({}, lane.issues, {
+          clips: lane.issues.clips.map(shift),
+          overs: lane.issues.overs.map(shift),
+          dropouts: lane.issues.dropouts.map(shift),
+        });
+      }
+      return out;
+    }
+
+    // Measured stats per track and each track's difference from the reference
+    // (null until analysis finishes). JSON-safe apart from -Infinity for silent tracks.
+    getMetadata() {
+      const ref = this._lane(this.referenceTrack);
+      if (!ref || !ref.meta) return null;
+      const lanes = this._loadedLanes().filter(l => l.meta);
+      const delta = (a, b) => (a == null || b == null) ? null : a - b;
+      return {
+        reference: ref.id,
+        tracks: Object.fromEntries(lanes.map(l => [l.id, Object.assign({ label: l.label }, l.meta)])),
+        differences: Object.fromEntries(lanes.filter(l => l !== ref).map(l => [l.id, {
+          loudness: delta(l.meta.loudness, ref.meta.loudness),
+          truePeak: delta(l.meta.truePeak, ref.meta.truePeak),
+          bpm: delta(l.meta.bpm, ref.meta.bpm),
+          duration: delta(l.meta.duration, ref.meta.duration),
+          keyChanged: l.meta.key !== ref.meta.key,
+          summary: metaDiffText(l.id, l.meta, ref.meta),
+        }])),
+      };
+    }
+
     getState() {
       return {
         activeTrack: this.activeTrack,
+        referenceTrack: this.referenceTrack,
         loopStart: this.loopStart,
         loopEnd: this.loopEnd,
         isZoomed: this.isZoomed,
         zoomStart: this.zoomStart,
         zoomEnd: this.zoomEnd,
         beatGridVisible: this.beatGridVisible,
+        timeFormat: this.timeFormat,
         driftMapVisible: this.driftMapVisible,
-        markers: this.markers.map(m => m.sec),
+        spectralDriftVisible: this.spectralDriftVisible,
+        metersVisible: this.metersVisible,
+        loudnessMatch: this.loudnessMatch,
+        blindResult: this.blindResult,  // not `blindTest`: feeding the state back into mount() shouldn't restart a test
+        crossfadeMs: this.crossfadeMs,
+        switchQuantize: this.switchQuantize,
+        offsets: Object.fromEntries(this._loadedLanes().filter(l => l.id !== this.referenceTrack)
+          .map(l => [l.id, { offset: l.offset, mode: l.offsetMode, confidence: l.confidence, polarity: l.polarity }])),
+        nullTest: this.nullTest,
+        channelView: this.channelView,
+        monitorMode: this.monitorMode,
+        listenFilter: this.listenFilter,
+        listenFreq: this.listenFreq,
+        listenQ: this.listenQ,
+        spectrogram: this.spectrogram,
+        spectrogramFftSize: this.spectroFftSize,
+        spectrogramScale: this.spectroScale,
+        markers: this.markers.slice().sort((a, b) => a.sec - b.sec).map(m => this._markerState(m)),
+        loopCues: this.getLoopCues().map(({ name, start, end }) => ({ name, start, end })),
         lastPlayheadSec: this.lastPlayheadSec,
       };
     }